@@ -0,0 +1,790 @@
+const DEFAULT_SORT = "relevance";
+const CATEGORY_LIFECYCLES = { OpenApiTable: "Production", Beta: "Pre-Production", Historic: "Historic" };
+const CATALOGUE_FIELDS = [
+    ["document_number", "error"],
+    ["version_info", "error"],
+    ["lifecycle_status", "warning"],
+    ["release_info", "warning"],
+    ["api_description.api_name", "warning"]
+];
+const CATEGORY_PRIORITY = ["OpenApiTable", "Beta", "Historic"];
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const HTML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: "\u00a0" };
+const SEARCH_WEIGHTS = { documentNumber: 10, apiName: 6, description: 2, keywords: 1 };
+const SEARCH_QUALIFIERS = {
+    type: "type",
+    asset: "type",
+    lifecycle: "lifecycle",
+    status: "lifecycle",
+    context: "context",
+    domain: "context",
+    category: "category",
+    release: "release",
+    version: "version",
+    tmf: "number",
+    number: "number",
+    entity: "entity"
+};
+const FACETS = [
+    { key: "lifecycle", label: "Lifecycle", values: (doc) => doc.lifecycle },
+    { key: "type", label: "Asset type", values: (doc) => doc.optionTypes },
+    { key: "release", label: "Release train", values: (doc) => doc.releases },
+    { key: "category", label: "Category", values: (doc) => doc.categories },
+    { key: "domain", label: "Domain", values: (doc) => doc.contexts }
+];
+
+function normaliseResources(payload) {
+    const documentsByKey = new Map();
+
+    Object.entries(payload || {}).forEach(([categoryName, groupedResources]) => {
+        Object.values(groupedResources || {}).forEach((entries) => {
+            entries.forEach((entry) => {
+                const documentNumber = entry?.document_number || entry?.api_description?.api_name || entry?.options?.[0]?.name || "Untitled";
+                const apiName = entry?.api_description?.api_name || documentNumber;
+                const key = documentNumber || apiName;
+
+                if (!documentsByKey.has(key)) {
+                    documentsByKey.set(key, {
+                        key,
+                        documentNumber,
+                        apiName,
+                        description: entry?.api_description?.api_description || "",
+                        categories: new Set(),
+                        contexts: new Set(),
+                        lifecycle: new Set(),
+                        versions: new Map()
+                    });
+                }
+
+                const doc = documentsByKey.get(key);
+                if (!doc.description && entry?.api_description?.api_description) {
+                    doc.description = entry.api_description.api_description;
+                }
+
+                if (categoryName) {
+                    doc.categories.add(categoryName);
+                }
+
+                if (entry?.context) {
+                    String(entry.context)
+                        .split(",")
+                        .map((value) => value.trim())
+                        .filter(Boolean)
+                        .forEach((contextValue) => doc.contexts.add(contextValue));
+                }
+
+                if (entry?.lifecycle_status) {
+                    doc.lifecycle.add(entry.lifecycle_status);
+                }
+
+                const versionKey = entry?.version_info || "Unversioned";
+                if (!doc.versions.has(versionKey)) {
+                    doc.versions.set(versionKey, {
+                        version: entry?.version_info || "Unversioned",
+                        sources: new Map()
+                    });
+                }
+
+                const version = doc.versions.get(versionKey);
+                const sourceKey = categoryName || "";
+                if (!version.sources.has(sourceKey)) {
+                    version.sources.set(sourceKey, {
+                        category: categoryName || "",
+                        release: entry?.release_info || "",
+                        lifecycle: entry?.lifecycle_status || "",
+                        published: entry?.published_date || "",
+                        notes: entry?.notes || "",
+                        options: []
+                    });
+                }
+
+                const source = version.sources.get(sourceKey);
+                if (!source.release && entry?.release_info) {
+                    source.release = entry.release_info;
+                }
+                if (!source.lifecycle && entry?.lifecycle_status) {
+                    source.lifecycle = entry.lifecycle_status;
+                }
+                if (!source.published && entry?.published_date) {
+                    source.published = entry.published_date;
+                }
+                if (!source.notes && entry?.notes) {
+                    source.notes = entry.notes;
+                }
+
+                (entry?.options || []).forEach((option) => {
+                    source.options.push({
+                        type: option?.type || "",
+                        name: option?.name || "Download",
+                        downloadUrl: option?.download || "",
+                        default: option?.default || "",
+                        icon: option?.icon || "",
+                        category: source.category
+                    });
+                });
+            });
+        });
+    });
+
+    const usedSlugs = new Set();
+    const documents = [];
+
+    documentsByKey.forEach((doc, key) => {
+        let slug = createSlug(key);
+        while (usedSlugs.has(slug)) {
+            slug = `${slug}-${usedSlugs.size + 1}`;
+        }
+        usedSlugs.add(slug);
+
+        const versions = Array.from(doc.versions.values()).map(finaliseVersion);
+        versions.sort((a, b) => compareVersions(b.version, a.version)
+            || compareReleaseTrains(getReleaseTrain(b.release), getReleaseTrain(a.release))
+            || b.publishedTime - a.publishedTime);
+
+        const optionTypes = new Set();
+        versions.forEach((version) => {
+            version.options.forEach((option) => {
+                if (option.type) {
+                    optionTypes.add(option.type);
+                }
+            });
+        });
+
+        const optionTypesList = Array.from(optionTypes).sort((a, b) => compareStrings(a, b));
+        const releases = Array.from(new Set(versions
+            .flatMap((version) => version.sources.map((source) => getReleaseTrain(source.release)))
+            .filter(Boolean)))
+            .sort((a, b) => compareReleaseTrains(b, a));
+        const contextsList = Array.from(doc.contexts).sort((a, b) => compareStrings(a, b));
+        const latestPublished = versions.reduce((acc, version) => Math.max(acc, version.publishedTime), 0);
+        const keywords = [
+            Array.from(doc.categories).join(" "),
+            contextsList.join(" "),
+            Array.from(doc.lifecycle).join(" "),
+            versions.map((version) => version.version).join(" "),
+            optionTypesList.join(" ")
+        ];
+        const searchFields = Object.fromEntries(Object.entries({
+            documentNumber: doc.documentNumber,
+            apiName: doc.apiName,
+            description: stripHtml(doc.description),
+            keywords: keywords.join(" ")
+        }).map(([field, value]) => [field, { text: value.toLowerCase(), tokens: tokenise(value) }]));
+
+        documents.push({
+            id: slug,
+            key,
+            documentNumber: doc.documentNumber || key,
+            apiName: doc.apiName || doc.documentNumber || key,
+            description: doc.description,
+            categories: Array.from(doc.categories).sort((a, b) => compareStrings(a, b)),
+            contexts: contextsList,
+            lifecycle: Array.from(doc.lifecycle).sort((a, b) => compareStrings(a, b)),
+            versions,
+            optionTypes: optionTypesList,
+            releases,
+            primaryType: optionTypesList[0] || "",
+            latestPublished,
+            searchFields
+        });
+    });
+
+    documents.sort((a, b) => compareStrings(a.documentNumber, b.documentNumber) || compareStrings(a.apiName, b.apiName));
+
+    return documents;
+}
+
+function finaliseVersion(version) {
+    const sources = Array.from(version.sources.values()).sort((a, b) => compareCategories(a.category, b.category));
+    sources.forEach((source) => {
+        source.options.sort((a, b) => compareStrings(a.type, b.type) || compareStrings(a.name, b.name));
+        source.options.forEach((option) => {
+            option.lifecycle = source.lifecycle;
+        });
+    });
+
+    const [primary] = sources;
+    return {
+        version: version.version,
+        release: primary.release,
+        lifecycle: primary.lifecycle,
+        published: primary.published,
+        publishedTime: parseDate(primary.published),
+        notes: primary.notes,
+        categories: sources.map((source) => source.category).filter(Boolean),
+        sources,
+        options: primary.options
+    };
+}
+
+function compareCategories(a = "", b = "") {
+    const rank = (value) => {
+        const index = CATEGORY_PRIORITY.indexOf(value);
+        return index === -1 ? CATEGORY_PRIORITY.length : index;
+    };
+    return rank(a) - rank(b) || compareStrings(a, b);
+}
+
+function validateCatalogue(payload) {
+    const findings = [];
+    const report = (severity, rule, location, message) => findings.push({ severity, rule, message, ...location });
+
+    if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+        report("error", "schema", {}, "The catalogue must be an object keyed by category.");
+        return findings;
+    }
+
+    const contextOrderings = new Map();
+    const fileNames = new Map();
+    const entryKeys = new Map();
+    let optionCount = 0;
+    let unavailableDefaults = 0;
+
+    Object.entries(payload).forEach(([category, groups]) => {
+        if (!CATEGORY_LIFECYCLES[category]) {
+            report("info", "unknown-category", { category }, `Unknown category "${category}"; expected one of ${Object.keys(CATEGORY_LIFECYCLES).join(", ")}.`);
+        }
+        if (!groups || typeof groups !== "object" || Array.isArray(groups)) {
+            report("error", "schema", { category }, "Each category must be an object keyed by TMF number.");
+            return;
+        }
+
+        Object.entries(groups).forEach(([groupKey, entries]) => {
+            if (!Array.isArray(entries)) {
+                report("error", "schema", { category, documentNumber: groupKey }, "Each TMF number must map to a list of entries.");
+                return;
+            }
+
+            entries.forEach((entry, index) => {
+                const location = {
+                    category,
+                    documentNumber: entry?.document_number || groupKey,
+                    version: entry?.version_info || `entry ${index + 1}`
+                };
+
+                if (!entry || typeof entry !== "object") {
+                    report("error", "schema", location, "Entry is not an object.");
+                    return;
+                }
+
+                CATALOGUE_FIELDS.forEach(([field, severity]) => {
+                    const value = field.split(".").reduce((current, part) => current?.[part], entry);
+                    if (value === undefined || value === null) {
+                        report(severity, "missing-field", location, `Missing field "${field}".`);
+                    } else if (typeof value !== "string") {
+                        report("error", "schema", location, `Field "${field}" should be a string.`);
+                    } else if (!value.trim()) {
+                        report(severity, "missing-field", location, `Field "${field}" is empty.`);
+                    }
+                });
+
+                if (entry.document_number && entry.document_number !== groupKey) {
+                    report("warning", "key-mismatch", location, `Listed under "${groupKey}" but document_number is "${entry.document_number}".`);
+                }
+
+                const entryKey = `${category}|${location.documentNumber}|${entry.version_info || ""}`;
+                if (entryKeys.has(entryKey)) {
+                    report("warning", "duplicate-entry", location, `Version ${entry.version_info || "(none)"} is listed more than once in ${category}.`);
+                }
+                entryKeys.set(entryKey, true);
+
+                const expectedLifecycle = CATEGORY_LIFECYCLES[category];
+                if (expectedLifecycle && entry.lifecycle_status && entry.lifecycle_status !== expectedLifecycle) {
+                    report("warning", "lifecycle-category", location, `lifecycle_status "${entry.lifecycle_status}" does not match the ${category} category (${expectedLifecycle}).`);
+                }
+
+                const status = String(entry.release_status || "").trim();
+                if (status && normaliseStatus(status) !== normaliseStatus(entry.lifecycle_status)) {
+                    report("warning", "status-mismatch", location, `release_status "${status}" disagrees with lifecycle_status "${entry.lifecycle_status || ""}".`);
+                } else if (status && status !== entry.lifecycle_status) {
+                    report("info", "status-format", location, `release_status "${status}" is spelled differently from lifecycle_status "${entry.lifecycle_status}".`);
+                }
+
+                const contexts = String(entry.context || "").split(",").map((value) => value.trim()).filter(Boolean);
+                if (!contexts.length) {
+                    report("warning", "empty-context", location, "No context/domain is set.");
+                } else {
+                    const setKey = [...contexts].sort(compareStrings).join(",");
+                    const ordering = contexts.join(",");
+                    if (!contextOrderings.has(setKey)) {
+                        contextOrderings.set(setKey, ordering);
+                    } else if (contextOrderings.get(setKey) !== ordering) {
+                        report("info", "context-order", location, `Context "${entry.context}" lists the same domains as "${contextOrderings.get(setKey).replace(/,/g, ", ")}" in a different order.`);
+                    }
+                }
+
+                const published = String(entry.published_date || "").trim();
+                if (!published) {
+                    report("warning", "missing-date", location, "published_date is empty.");
+                } else if (!parseDate(published)) {
+                    report("warning", "invalid-date", location, `published_date "${published}" is not a recognised date.`);
+                }
+
+                if (/<[^>]+>/.test(String(entry.release_info || ""))) {
+                    report("info", "html-field", location, `release_info contains HTML: ${entry.release_info}`);
+                }
+
+                if (!Array.isArray(entry.options)) {
+                    report("error", "schema", location, "options must be a list.");
+                    return;
+                }
+                if (!entry.options.length) {
+                    report("warning", "no-assets", location, "The entry has no downloadable assets.");
+                }
+
+                entry.options.forEach((option) => {
+                    optionCount += 1;
+                    const optionLocation = { ...location, option: option?.name || option?.type || "" };
+                    if (!option?.type || !option?.name) {
+                        report("error", "schema", optionLocation, "Option is missing its type or name.");
+                    }
+                    if (!isHttpUrl(option?.download)) {
+                        report("error", "invalid-url", optionLocation, `Download URL "${option?.download || ""}" is not a valid http(s) URL.`);
+                    }
+                    if (option?.default === "Not available") {
+                        unavailableDefaults += 1;
+                    }
+
+                    if (option?.name) {
+                        const owner = `${location.documentNumber} ${entry.version_info || ""}`.trim();
+                        if (!fileNames.has(option.name)) {
+                            fileNames.set(option.name, new Set());
+                        }
+                        const owners = fileNames.get(option.name);
+                        if (owners.size && !owners.has(owner)) {
+                            report("warning", "duplicate-filename", optionLocation, `File name "${option.name}" is also used by ${Array.from(owners).join(", ")}.`);
+                        }
+                        owners.add(owner);
+                    }
+                });
+            });
+        });
+    });
+
+    if (optionCount && unavailableDefaults === optionCount) {
+        report("info", "default-unused", {}, `Every option (${optionCount}) has default set to "Not available", so the field carries no information.`);
+    } else if (unavailableDefaults) {
+        report("info", "default-unused", {}, `${unavailableDefaults} of ${optionCount} options have default set to "Not available".`);
+    }
+
+    return findings;
+}
+
+function normaliseStatus(value = "") {
+    return String(value).toLowerCase().replace(/[^a-z]/g, "");
+}
+
+function isHttpUrl(value = "") {
+    try {
+        return ["http:", "https:"].includes(new URL(value).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+function filterDocuments(documents, { query = parseSearchQuery(""), facets = {}, sort = DEFAULT_SORT } = {}) {
+    const scores = new Map(
+        isQueryEmpty(query) ? [] : documents.map((doc) => [doc.id, scoreDocument(doc, query)])
+    );
+
+    const filtered = documents.filter((doc) => matchesSearch(doc, query, scores) && matchesFacets(doc, facets));
+
+    return { documents: sortDocuments(filtered, sort, scores), scores };
+}
+
+function matchesSearch(doc, query, scores) {
+    return isQueryEmpty(query) || scores.get(doc.id) > 0;
+}
+
+function matchesFacets(doc, facets, ignoredKey = null) {
+    return FACETS.every((facet) => {
+        const selected = facets[facet.key];
+        return facet.key === ignoredKey || !selected?.size || facet.values(doc).some((value) => selected.has(value));
+    });
+}
+
+function parseSearchQuery(input = "") {
+    const query = { terms: [], qualifiers: [] };
+    const pattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+
+    for (const [, negation, field, quoted, bare] of input.matchAll(pattern)) {
+        const value = (quoted ?? bare ?? "").trim();
+        if (!value) {
+            continue;
+        }
+
+        const negated = negation === "-";
+        const qualifier = SEARCH_QUALIFIERS[field?.toLowerCase()];
+        if (qualifier) {
+            const [, operator, operand] = value.match(/^(>=|<=|>|<|=)?(.*)$/);
+            query.qualifiers.push({
+                field: qualifier,
+                operator: operator || "=",
+                value: operand.toLowerCase(),
+                pattern: createWildcardPattern(operand),
+                negated
+            });
+            continue;
+        }
+
+        const text = (field ? `${field}:${value}` : value).toLowerCase();
+        if (quoted !== undefined && /\s/.test(text)) {
+            query.terms.push({ value: text, phrase: true, negated });
+        } else if (/[*?]/.test(text)) {
+            query.terms.push({ value: text, pattern: createWildcardPattern(text), negated });
+        } else {
+            tokenise(text).forEach((token) => query.terms.push({ value: token, negated }));
+        }
+    }
+
+    return query;
+}
+
+function createWildcardPattern(value = "") {
+    if (!/[*?]/.test(value)) {
+        return null;
+    }
+
+    const source = value
+        .toLowerCase()
+        .replace(/[^a-z0-9*?]/g, "")
+        .replace(/\*/g, "[a-z0-9]*")
+        .replace(/\?/g, "[a-z0-9]");
+    return new RegExp(`^${source}$`);
+}
+
+function tokenise(text = "") {
+    const tokens = [];
+    text.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean).forEach((token) => {
+        tokens.push(token);
+        const parts = token.match(/[a-z]+|[0-9]+/g) || [];
+        if (parts.length > 1) {
+            tokens.push(...parts);
+        }
+    });
+    return tokens;
+}
+
+function isQueryEmpty(query) {
+    return !query.terms.length && !query.qualifiers.length;
+}
+
+function scoreDocument(doc, query) {
+    if (!query.qualifiers.every((qualifier) => matchesQualifier(doc, qualifier) !== qualifier.negated)) {
+        return 0;
+    }
+
+    let score = 0;
+    for (const term of query.terms) {
+        const termScore = scoreTerm(doc, term);
+        if (term.negated) {
+            if (termScore) {
+                return 0;
+            }
+            continue;
+        }
+        if (!termScore) {
+            return 0;
+        }
+        score += termScore;
+    }
+
+    return Math.max(score, 1);
+}
+
+function scoreTerm(doc, term) {
+    return Object.entries(SEARCH_WEIGHTS).reduce((score, [field, weight]) => {
+        const { text, tokens } = doc.searchFields[field];
+
+        if (term.phrase) {
+            return score + (text.includes(term.value) ? weight : 0);
+        }
+        if (term.pattern) {
+            return score + (tokens.some((token) => term.pattern.test(token)) ? weight : 0);
+        }
+        if (tokens.includes(term.value)) {
+            return score + weight;
+        }
+        return score + (tokens.some((token) => token.startsWith(term.value)) ? weight * 0.6 : 0);
+    }, 0);
+}
+
+function matchesQualifier(doc, qualifier) {
+    switch (qualifier.field) {
+        case "type":
+            return doc.optionTypes.some((value) => matchesTextQualifier(value, qualifier));
+        case "lifecycle":
+            return doc.lifecycle.some((value) => matchesTextQualifier(value, qualifier));
+        case "context":
+            return doc.contexts.some((value) => matchesTextQualifier(value, qualifier));
+        case "category":
+            return doc.categories.some((value) => matchesTextQualifier(value, qualifier));
+        case "number":
+            return matchesTextQualifier(doc.documentNumber, qualifier);
+        case "entity":
+            return (doc.entities || []).some((value) => matchesEntityQualifier(value, qualifier));
+        case "release":
+            return doc.releases.some((value) => matchesOrderedQualifier(value, qualifier, compareReleaseTrains));
+        case "version":
+            return doc.versions.some((version) => matchesOrderedQualifier(version.version.replace(/^v/i, ""), {
+                ...qualifier,
+                value: qualifier.value.replace(/^v/i, "")
+            }, compareVersions));
+        default:
+            return true;
+    }
+}
+
+function matchesTextQualifier(value, qualifier) {
+    const normalised = value.toLowerCase().replace(/[^a-z0-9]/g, "");
+    if (qualifier.pattern) {
+        return qualifier.pattern.test(normalised);
+    }
+    return normalised.startsWith(qualifier.value.replace(/[^a-z0-9]/g, ""));
+}
+
+function matchesEntityQualifier(value, qualifier) {
+    const normalised = value.toLowerCase().replace(/[^a-z0-9]/g, "");
+    if (qualifier.pattern) {
+        return qualifier.pattern.test(normalised);
+    }
+    return normalised === qualifier.value.replace(/[^a-z0-9]/g, "");
+}
+
+function matchesOrderedQualifier(value, qualifier, compare) {
+    if (!value || !qualifier.value) {
+        return false;
+    }
+
+    const difference = compare(value, qualifier.value);
+    switch (qualifier.operator) {
+        case ">=":
+            return difference >= 0;
+        case "<=":
+            return difference <= 0 || value.startsWith(`${qualifier.value}.`);
+        case ">":
+            return difference > 0 && !value.startsWith(`${qualifier.value}.`);
+        case "<":
+            return difference < 0;
+        default:
+            return value === qualifier.value || value.startsWith(`${qualifier.value}.`);
+    }
+}
+
+function sortDocuments(items, sort = DEFAULT_SORT, scores = new Map()) {
+    const sorted = [...items];
+
+    switch (sort === "relevance" && !scores.size ? "name" : sort) {
+        case "type":
+            sorted.sort((a, b) => compareStrings(a.primaryType, b.primaryType) || compareStrings(a.apiName, b.apiName));
+            break;
+        case "date":
+            sorted.sort((a, b) => b.latestPublished - a.latestPublished
+                || compareReleaseTrains(b.releases[0], a.releases[0])
+                || compareStrings(a.apiName, b.apiName));
+            break;
+        case "relevance":
+            sorted.sort((a, b) => scores.get(b.id) - scores.get(a.id) || compareStrings(a.apiName, b.apiName));
+            break;
+        case "name":
+        default:
+            sorted.sort((a, b) => compareStrings(a.apiName, b.apiName) || compareStrings(a.documentNumber, b.documentNumber));
+            break;
+    }
+
+    return sorted;
+}
+
+function getExportTable(documents, perVersion = false) {
+    const assetColumns = ["Asset types", "Download URLs"];
+    const describeOptions = (options) => [
+        Array.from(new Set(options.map((option) => option.type).filter(Boolean))).join("; "),
+        options.map((option) => option.downloadUrl).filter(Boolean).join(" ")
+    ];
+
+    if (perVersion) {
+        return {
+            columns: ["Document number", "Name", "Contexts", "Version", "Lifecycle", "Release", "Published", "Categories", ...assetColumns],
+            rows: documents.flatMap((doc) => doc.versions.map((version) => [
+                doc.documentNumber,
+                doc.apiName,
+                doc.contexts.join("; "),
+                version.version,
+                version.lifecycle,
+                getReleaseTrain(version.release),
+                version.published,
+                version.categories.join("; "),
+                ...describeOptions(version.options)
+            ]))
+        };
+    }
+
+    return {
+        columns: ["Document number", "Name", "Contexts", "Lifecycle", "Latest version", "Release", "Published", ...assetColumns],
+        rows: documents.map((doc) => {
+            const latest = doc.versions[0];
+            return [
+                doc.documentNumber,
+                doc.apiName,
+                doc.contexts.join("; "),
+                doc.lifecycle.join("; "),
+                latest?.version || "",
+                getReleaseTrain(latest?.release),
+                latest?.published || "",
+                ...describeOptions(latest?.options || [])
+            ];
+        })
+    };
+}
+
+function toCsv(table, lineBreak = "\n") {
+    const neutraliseFormula = (value) => (/^[=+\-@\t\r]/.test(value) ? `'${value}` : value);
+    const escapeCell = (value = "") => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, "\"\"")}"` : value);
+    return [table.columns, ...table.rows]
+        .map((row) => row.map((value) => escapeCell(neutraliseFormula(String(value ?? "")))).join(","))
+        .join(lineBreak) + lineBreak;
+}
+
+function toMarkdownTable(table) {
+    const escapeCell = (value = "") => String(value ?? "").replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+    const lines = [
+        `| ${table.columns.map(escapeCell).join(" | ")} |`,
+        `| ${table.columns.map(() => "---").join(" | ")} |`,
+        ...table.rows.map((row) => `| ${row.map(escapeCell).join(" | ")} |`)
+    ];
+    return `${lines.join("\n")}\n`;
+}
+
+function toExportJson(documents, perVersion = false) {
+    const serialised = perVersion
+        ? documents.flatMap(({ searchFields, versions, ...doc }) => versions.map((version) => ({ ...doc, version })))
+        : documents.map(({ searchFields, ...doc }) => doc);
+    return `${JSON.stringify(serialised, null, 2)}\n`;
+}
+
+function createSlug(value = "") {
+    return value
+        .toString()
+        .trim()
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-|-$/g, "") || "resource";
+}
+
+function compareStrings(a = "", b = "") {
+    return a.localeCompare(b, undefined, { sensitivity: "base" });
+}
+
+function getReleaseTrain(value = "") {
+    const text = stripHtml(value).trim();
+    return text.match(/\d+(?:\.\d+)+/)?.[0] || text;
+}
+
+function compareReleaseTrains(a = "", b = "") {
+    const left = a.split(".").map((part) => Number.parseInt(part, 10) || 0);
+    const right = b.split(".").map((part) => Number.parseInt(part, 10) || 0);
+
+    for (let index = 0; index < Math.max(left.length, right.length); index += 1) {
+        const difference = (left[index] || 0) - (right[index] || 0);
+        if (difference) {
+            return difference;
+        }
+    }
+
+    return Number(Boolean(a)) - Number(Boolean(b));
+}
+
+function compareVersions(a = "", b = "") {
+    const parse = (value) => {
+        const match = value.trim().match(/^v?(\d+(?:\.\d+)*)(?:-([0-9A-Za-z.-]+))?/i);
+        return match ? { parts: match[1].split(".").map(Number), prerelease: match[2] || "" } : null;
+    };
+
+    const left = parse(a);
+    const right = parse(b);
+    if (!left || !right) {
+        return Number(Boolean(left)) - Number(Boolean(right)) || compareStrings(a, b);
+    }
+
+    const difference = compareReleaseTrains(left.parts.join("."), right.parts.join("."));
+    if (difference) {
+        return difference;
+    }
+
+    if (left.prerelease === right.prerelease) {
+        return 0;
+    }
+    if (!left.prerelease || !right.prerelease) {
+        return left.prerelease ? -1 : 1;
+    }
+    return left.prerelease.localeCompare(right.prerelease, undefined, { numeric: true });
+}
+
+function parseDate(value = "") {
+    const text = String(value).trim();
+    let day;
+    let month;
+    let year;
+
+    const dayFirst = text.match(/^(\d{1,2})[-\s/.]([A-Za-z]+|\d{1,2})[-\s/.](\d{4}|\d{2})$/);
+    const isoDate = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+
+    if (dayFirst) {
+        day = Number(dayFirst[1]);
+        month = /^\d+$/.test(dayFirst[2]) ? Number(dayFirst[2]) - 1 : MONTHS.indexOf(dayFirst[2].slice(0, 3).toLowerCase());
+        year = Number(dayFirst[3]) + (dayFirst[3].length === 2 ? 2000 : 0);
+    } else if (isoDate) {
+        year = Number(isoDate[1]);
+        month = Number(isoDate[2]) - 1;
+        day = Number(isoDate[3]);
+    } else {
+        return 0;
+    }
+
+    if (month < 0 || month > 11) {
+        return 0;
+    }
+
+    const time = Date.UTC(year, month, day);
+    const date = new Date(time);
+    return date.getUTCDate() === day && date.getUTCMonth() === month ? time : 0;
+}
+
+function stripHtml(html = "") {
+    return String(html)
+        .replace(/<!--[\s\S]*?-->/g, "")
+        .replace(/<\/?[a-z][^>]*>/gi, "")
+        .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+            if (!name.startsWith("#")) {
+                return HTML_ENTITIES[name.toLowerCase()] ?? entity;
+            }
+            const code = /^#x/i.test(name) ? Number.parseInt(name.slice(2), 16) : Number.parseInt(name.slice(1), 10);
+            return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+        });
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        DEFAULT_SORT,
+        FACETS,
+        normaliseResources,
+        validateCatalogue,
+        filterDocuments,
+        parseSearchQuery,
+        isQueryEmpty,
+        scoreDocument,
+        matchesEntityQualifier,
+        sortDocuments,
+        getExportTable,
+        toCsv,
+        toMarkdownTable,
+        toExportJson,
+        createSlug,
+        compareStrings,
+        getReleaseTrain,
+        compareReleaseTrains,
+        compareVersions,
+        parseDate,
+        stripHtml
+    };
+}
@@ -0,0 +1,308 @@
+#!/usr/bin/env node
+const fs = require("fs");
+const path = require("path");
+const {
+    DEFAULT_SORT,
+    FACETS,
+    normaliseResources,
+    filterDocuments,
+    parseSearchQuery,
+    getExportTable,
+    toCsv,
+    toMarkdownTable,
+    toExportJson,
+    compareStrings,
+    getReleaseTrain,
+    stripHtml
+} = require("./catalogue-core.js");
+
+const DEFAULT_FILE = path.join(__dirname, "index.json");
+const SORT_OPTIONS = ["relevance", "name", "type", "date"];
+const EXPORT_FORMATS = ["csv", "excel", "json", "markdown"];
+const VALUE_OPTIONS = ["file", "sort", "format", ...FACETS.map((facet) => facet.key)];
+const FLAG_OPTIONS = ["json", "latest", "per-version", "help"];
+const USAGE = `Usage: node cli.js <command> [arguments] [options]
+
+Commands:
+  list                      List APIs, filtered by the options below
+  search <query>            Search using the same syntax as the site, e.g. "type:swagger order"
+  show <TMF number>         Show one API with every version and asset
+  versions [TMF number]     List versions of one API, or of every listed API
+  assets [TMF number]       List asset download URLs (narrow with --type and --latest)
+  export [query]            Export the listed APIs (--format csv|excel|json|markdown; excel is CSV with a BOM)
+
+Options:
+  --file <path>             index.json to read (default: the copy next to this script)
+  --lifecycle <value>       Only APIs with this lifecycle; repeat to allow several
+  --type <value>            Only APIs with this asset type (assets: only these assets)
+  --release <value>         Only APIs in this release train
+  --category <value>        Only APIs in this catalogue category
+  --domain <value>          Only APIs in this domain
+  --sort <order>            relevance, name, type or date (default: relevance)
+  --latest                  versions/assets: only the latest version of each API
+  --per-version             export: one row (or JSON object) per version instead of per API
+  --format <format>         export: csv, excel (CSV for Excel), json or markdown (default: csv)
+  --json                    Print JSON instead of a table
+  --help                    Show this message
+`;
+
+function parseArguments(argv) {
+    const parsed = { positional: [], options: {}, facets: {} };
+
+    for (let index = 0; index < argv.length; index += 1) {
+        const argument = argv[index];
+        if (!argument.startsWith("--")) {
+            parsed.positional.push(argument);
+            continue;
+        }
+
+        const [name, inlineValue] = argument.slice(2).split(/=(.*)/s);
+        if (FLAG_OPTIONS.includes(name)) {
+            parsed.options[name] = true;
+            continue;
+        }
+        if (!VALUE_OPTIONS.includes(name)) {
+            throw new Error(`Unknown option --${name}.`);
+        }
+
+        const value = inlineValue ?? argv[index += 1];
+        if (value === undefined) {
+            throw new Error(`Option --${name} needs a value.`);
+        }
+        if (FACETS.some((facet) => facet.key === name)) {
+            (parsed.facets[name] = parsed.facets[name] || []).push(value);
+        } else {
+            parsed.options[name] = value;
+        }
+    }
+
+    parsed.command = parsed.positional.shift() || "";
+    return parsed;
+}
+
+function loadDocuments(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, "utf8");
+    } catch (error) {
+        throw new Error(`Unable to read ${file}: ${error.message}`);
+    }
+
+    try {
+        return normaliseResources(JSON.parse(text));
+    } catch (error) {
+        throw new Error(`${file} is not a valid catalogue: ${error.message}`);
+    }
+}
+
+function resolveFacets(documents, requested) {
+    return Object.fromEntries(FACETS.map((facet) => {
+        const available = Array.from(new Set(documents.flatMap((doc) => facet.values(doc)))).sort(compareStrings);
+        const selected = (requested[facet.key] || []).map((value) => {
+            const match = available.find((candidate) => !compareStrings(candidate, value));
+            if (!match) {
+                throw new Error(`Unknown ${facet.label.toLowerCase()} "${value}". Available: ${available.join(", ")}.`);
+            }
+            return match;
+        });
+        return [facet.key, new Set(selected)];
+    }));
+}
+
+function findDocument(documents, reference = "") {
+    const wanted = reference.trim().toLowerCase();
+    const doc = documents.find((candidate) => candidate.documentNumber.toLowerCase() === wanted
+        || candidate.id === wanted
+        || candidate.documentNumber.toLowerCase() === `tmf${wanted}`);
+    if (!doc) {
+        throw new Error(`No API matches "${reference}".`);
+    }
+    return doc;
+}
+
+function formatTable(table) {
+    if (!table.rows.length) {
+        return "No matching entries.\n";
+    }
+
+    const widths = table.columns.map((column, index) => Math.max(
+        column.length,
+        ...table.rows.map((row) => String(row[index] ?? "").length)
+    ));
+    const formatRow = (row) => row.map((value, index) => String(value ?? "").padEnd(widths[index])).join("  ").trimEnd();
+    return [
+        formatRow(table.columns),
+        formatRow(widths.map((width) => "-".repeat(width))),
+        ...table.rows.map(formatRow)
+    ].join("\n") + "\n";
+}
+
+function getListTable(documents) {
+    return {
+        columns: ["Document number", "Name", "Latest version", "Lifecycle", "Release"],
+        rows: documents.map((doc) => [
+            doc.documentNumber,
+            doc.apiName,
+            doc.versions[0]?.version || "",
+            doc.lifecycle.join(", "),
+            doc.releases[0] || ""
+        ])
+    };
+}
+
+function getVersionRows(documents, latest) {
+    return documents.flatMap((doc) => (latest ? doc.versions.slice(0, 1) : doc.versions).map((version) => ({ doc, version })));
+}
+
+function getAssets(documents, types, latest) {
+    const wanted = types.map((type) => type.toLowerCase());
+    return getVersionRows(documents, latest).flatMap(({ doc, version }) => version.options
+        .filter((option) => !wanted.length || wanted.includes(option.type.toLowerCase()))
+        .map((option) => ({
+            documentNumber: doc.documentNumber,
+            apiName: doc.apiName,
+            version: version.version,
+            type: option.type,
+            name: option.name,
+            category: option.category,
+            url: option.downloadUrl
+        })));
+}
+
+function describeDocument(doc) {
+    const lines = [`${doc.documentNumber}  ${doc.apiName}`, ""];
+    const appendField = (label, value) => {
+        if (value) {
+            lines.push(`${label}: ${value}`);
+        }
+    };
+
+    appendField("Lifecycle", doc.lifecycle.join(", "));
+    appendField("Domains", doc.contexts.join(", "));
+    appendField("Categories", doc.categories.join(", "));
+    appendField("Release trains", doc.releases.join(", "));
+    const description = stripHtml(doc.description).replace(/\s+/g, " ").trim();
+    if (description) {
+        lines.push("", description);
+    }
+
+    doc.versions.forEach((version) => {
+        const release = getReleaseTrain(version.release);
+        const details = [version.lifecycle, release && `release ${release}`, version.published && `published ${version.published}`]
+            .filter(Boolean)
+            .join(", ");
+        lines.push("", `${version.version}${details ? ` (${details})` : ""}`);
+        const notes = stripHtml(version.notes).replace(/\s+/g, " ").trim();
+        if (notes) {
+            lines.push(`  ${notes}`);
+        }
+        version.options.forEach((option) => {
+            lines.push(`  ${option.type.padEnd(12)} ${option.downloadUrl || option.name}`);
+        });
+    });
+
+    return `${lines.join("\n")}\n`;
+}
+
+function run(argv) {
+    const { command, positional, options, facets } = parseArguments(argv);
+    if (!command || options.help) {
+        return USAGE;
+    }
+
+    const sort = options.sort || DEFAULT_SORT;
+    if (!SORT_OPTIONS.includes(sort)) {
+        throw new Error(`Unknown sort order "${sort}". Use ${SORT_OPTIONS.join(", ")}.`);
+    }
+
+    const documents = loadDocuments(path.resolve(options.file || DEFAULT_FILE));
+    const select = (queryText = "") => {
+        const query = parseSearchQuery(queryText);
+        if (query.qualifiers.some((qualifier) => qualifier.field === "entity")) {
+            throw new Error("entity: searches need the entity index, which only the site builds from the swagger files. Use the site, or search by name or TMF number here.");
+        }
+        return filterDocuments(documents, { query, facets: resolveFacets(documents, facets), sort }).documents;
+    };
+    const selectOrFind = (reference) => (reference ? [findDocument(documents, reference)] : select());
+
+    switch (command) {
+        case "list": {
+            const listed = select();
+            return options.json ? toExportJson(listed) : formatTable(getListTable(listed));
+        }
+        case "search": {
+            if (!positional.length) {
+                throw new Error("search needs a query, e.g. search \"type:swagger order\".");
+            }
+            const listed = select(positional.join(" "));
+            return options.json ? toExportJson(listed) : formatTable(getListTable(listed));
+        }
+        case "show": {
+            if (!positional.length) {
+                throw new Error("show needs a TMF number, e.g. show TMF620.");
+            }
+            const doc = findDocument(documents, positional[0]);
+            return options.json ? toExportJson([doc]) : describeDocument(doc);
+        }
+        case "versions": {
+            const rows = getVersionRows(selectOrFind(positional[0]), options.latest);
+            if (options.json) {
+                return `${JSON.stringify(rows.map(({ doc, version }) => ({ documentNumber: doc.documentNumber, apiName: doc.apiName, ...version })), null, 2)}\n`;
+            }
+            return formatTable({
+                columns: ["Document number", "Name", "Version", "Lifecycle", "Release", "Published", "Categories"],
+                rows: rows.map(({ doc, version }) => [
+                    doc.documentNumber,
+                    doc.apiName,
+                    version.version,
+                    version.lifecycle,
+                    getReleaseTrain(version.release),
+                    version.published,
+                    version.categories.join(", ")
+                ])
+            });
+        }
+        case "assets": {
+            const assets = getAssets(selectOrFind(positional[0]), facets.type || [], options.latest);
+            if (options.json) {
+                return `${JSON.stringify(assets, null, 2)}\n`;
+            }
+            return formatTable({
+                columns: ["Document number", "Version", "Type", "URL"],
+                rows: assets.map((asset) => [asset.documentNumber, asset.version, asset.type, asset.url || asset.name])
+            });
+        }
+        case "export": {
+            const format = options.format || "csv";
+            const listed = select(positional.join(" "));
+            const table = getExportTable(listed, options["per-version"]);
+            switch (format) {
+                case "json":
+                    return toExportJson(listed, options["per-version"]);
+                case "markdown":
+                    return toMarkdownTable(table);
+                case "excel":
+                    return `\uFEFF${toCsv(table, "\r\n")}`;
+                case "csv":
+                    return toCsv(table);
+                default:
+                    throw new Error(`Unknown export format "${format}". Use ${EXPORT_FORMATS.join(", ")}.`);
+            }
+        }
+        default:
+            throw new Error(`Unknown command "${command}".\n\n${USAGE}`);
+    }
+}
+
+process.stdout.on("error", (error) => {
+    if (error.code !== "EPIPE") {
+        throw error;
+    }
+});
+
+try {
+    process.stdout.write(run(process.argv.slice(2)));
+} catch (error) {
+    process.stderr.write(`${error.message}\n`);
+    process.exitCode = 1;
+}
@@ -1,4 +1,31 @@
 const API_URL = "./index.json";
+const MIRROR_BASE = "./mirror";
+const HTTP_METHODS = ["get", "put", "post", "patch", "delete", "head", "options", "trace"];
+const MAX_COMPARE = 5;
+const STORE_NAME = "tmf-api-directory";
+const SNAPSHOT_KEY = "catalogue-snapshot";
+const WATCHLIST_KEY = "tmf-watchlist";
+const OFFLINE_CACHE = "tmf-offline-assets";
+const OFFLINE_TYPES = ["swagger", "postman", "user_guides"];
+const MOCK_CACHE = "tmf-mock";
+const MOCK_HEADER = "X-TMF-Mock";
+const SETTINGS_KEY = "tmf-settings";
+const MAX_DIAGNOSTICS = 100;
+const MAX_EXTERNAL_SPECS = 50;
+const ENTITY_INDEX_KEY = "entity-index";
+const ENTITY_INDEX_VERSION = 2;
+const SVG_NS = "http://www.w3.org/2000/svg";
+const SEVERITY_BADGES = { error: "badge--breaking", warning: "badge--warning", info: "badge--safe" };
+const PAGE_ROUTES = [
+    { path: "whats-new", view: "changes", label: "What's new" },
+    { path: "advisories", view: "advisories", label: "Watchlist" },
+    { path: "timeline", view: "timeline", label: "Release trains" },
+    { path: "stats", view: "stats", label: "Statistics" },
+    { path: "coverage", view: "coverage", label: "Asset coverage" },
+    { path: "graph", view: "graph", label: "Dependency graph" },
+    { path: "quality", view: "quality", label: "Data quality" },
+    { path: "settings", view: "settings", label: "Data sources" }
+];
 
 const state = {
     documents: [],
@@ -7,18 +34,34 @@ const state = {
     currentPage: 1,
     pageSize: 10,
     searchTerm: "",
-    currentSort: "name",
-    activeCategory: "all",
-    activeDomain: "all",
+    query: parseSearchQuery(""),
+    searchScores: new Map(),
+    currentSort: DEFAULT_SORT,
+    facets: Object.fromEntries(FACETS.map((facet) => [facet.key, new Set()])),
     apiSource: API_URL,
-    route: { view: "index", id: null }
+    specCache: new Map(),
+    selection: new Set(),
+    compare: [],
+    changes: { status: "pending", lastChange: null },
+    watchlist: [],
+    offlineAssets: new Set(),
+    settings: getDefaultSettings(),
+    diagnostics: [],
+    quality: [],
+    entityIndex: { specs: new Map(), running: false },
+    graph: { isolated: false },
+    console: { mode: "mock", baseUrls: new Map(), mocks: new Set() },
+    collectionCache: new Map(),
+    collectionVariables: new Map(),
+    snippetFormat: "curl",
+    coverage: { scope: "all", lifecycle: "", missing: "", sort: "api", direction: 1 },
+    bulk: { types: new Set(["swagger", "postman"]), scope: "latest" },
+    route: { view: "index", id: null, params: new URLSearchParams() }
 };
 
 const elements = {
     body: document.body,
     search: document.getElementById("searchInput"),
-    category: document.getElementById("categorySelect"),
-    domain: document.getElementById("domainSelect"),
     sort: document.getElementById("sortSelect"),
     toolbar: document.querySelector(".toolbar"),
     themeToggle: document.getElementById("themeToggle"),
@@ -27,9 +70,20 @@ const elements = {
     spinner: document.querySelector(".status-banner .spinner"),
     breadcrumb: document.getElementById("breadcrumb"),
     indexView: document.getElementById("indexView"),
+    facetPanel: document.getElementById("facetPanel"),
     cardGrid: document.getElementById("cardGrid"),
     resultsSummary: document.getElementById("resultsSummary"),
     resultCount: document.getElementById("resultCount"),
+    exportMenu: document.getElementById("exportMenu"),
+    exportPerVersion: document.getElementById("exportPerVersion"),
+    entityIndexMenu: document.getElementById("entityIndexMenu"),
+    entityIndexStatus: document.getElementById("entityIndexStatus"),
+    entityIndexAll: document.getElementById("entityIndexAll"),
+    bulkPanel: document.getElementById("bulkPanel"),
+    compareTray: document.getElementById("compareTray"),
+    changesCount: document.getElementById("changesCount"),
+    advisoryCount: document.getElementById("advisoryCount"),
+    qualityCount: document.getElementById("qualityCount"),
     pagination: document.getElementById("pagination"),
     pageInfo: document.getElementById("pageInfo"),
     prevPage: document.getElementById("prevPage"),
@@ -40,40 +94,44 @@ const elements = {
 document.addEventListener("DOMContentLoaded", () => {
     attachEventListeners();
     applySavedTheme();
+    state.settings = loadSettings();
+    state.watchlist = loadWatchlist();
+    registerServiceWorker();
+    refreshOfflineAssets().then(updateOfflineControls);
+    loadEntityIndex();
     updateBreadcrumb();
     window.addEventListener("hashchange", handleRouteChange);
     fetchResources().finally(() => handleRouteChange());
 });
 
 function attachEventListeners() {
-    elements.search?.addEventListener("input", (event) => {
-        state.searchTerm = event.target.value.trim().toLowerCase();
-        state.currentPage = 1;
-        applyFilters();
-    });
-
-    elements.category?.addEventListener("change", (event) => {
-        state.activeCategory = event.target.value;
-        state.currentPage = 1;
-        applyFilters();
+    document.querySelectorAll(".site-nav__link[data-view]").forEach((link) => {
+        link.addEventListener("click", (event) => {
+            event.preventDefault();
+            navigateTo({ view: link.dataset.view, id: null });
+        });
     });
 
-    elements.domain?.addEventListener("change", (event) => {
-        state.activeDomain = event.target.value;
+    elements.search?.addEventListener("input", (event) => {
+        state.searchTerm = event.target.value.trim();
+        state.query = parseSearchQuery(state.searchTerm);
         state.currentPage = 1;
         applyFilters();
+        updateLocation(true);
     });
 
     elements.sort?.addEventListener("change", (event) => {
         state.currentSort = event.target.value;
         state.currentPage = 1;
         applyFilters();
+        updateLocation();
     });
 
     elements.prevPage?.addEventListener("click", () => {
         if (state.currentPage > 1) {
             state.currentPage -= 1;
             renderRoute();
+            updateLocation();
         }
     });
 
@@ -82,36 +140,117 @@ function attachEventListeners() {
         if (state.currentPage < totalPages) {
             state.currentPage += 1;
             renderRoute();
+            updateLocation();
+        }
+    });
+
+    elements.exportMenu?.addEventListener("click", (event) => {
+        const button = event.target.closest("[data-export]");
+        if (button) {
+            exportResults(button.dataset.export, Boolean(elements.exportPerVersion?.checked));
+        }
+    });
+
+    elements.entityIndexMenu?.addEventListener("click", (event) => {
+        const button = event.target.closest("[data-entity-index]");
+        if (button?.dataset.entityIndex === "build") {
+            buildEntityIndex();
+        } else if (button?.dataset.entityIndex === "clear") {
+            clearEntityIndex();
         }
     });
+    elements.entityIndexAll?.addEventListener("change", updateEntityIndexStatus);
 
     elements.themeToggle?.addEventListener("click", toggleTheme);
 }
 
+function getDefaultSettings() {
+    return {
+        sources: [API_URL],
+        assetProxy: "",
+        rewriteFrom: "",
+        rewriteTo: ""
+    };
+}
+
+function loadSettings() {
+    try {
+        return normaliseSettings(JSON.parse(localStorage.getItem(SETTINGS_KEY) || "null"));
+    } catch (error) {
+        console.warn("Ignoring unreadable data source settings", error);
+        return getDefaultSettings();
+    }
+}
+
+function normaliseSettings(value) {
+    const defaults = getDefaultSettings();
+    if (!value || typeof value !== "object") {
+        return defaults;
+    }
+
+    return {
+        sources: Array.isArray(value.sources)
+            ? value.sources.map((source) => String(source).trim()).filter(Boolean)
+            : defaults.sources,
+        assetProxy: typeof value.assetProxy === "string" ? value.assetProxy.trim() : defaults.assetProxy,
+        rewriteFrom: String(value.rewriteFrom || "").trim(),
+        rewriteTo: String(value.rewriteTo || "").trim()
+    };
+}
+
+function saveSettings(settings) {
+    state.settings = normaliseSettings(settings);
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(state.settings));
+    state.specCache.clear();
+}
+
 function getApiSources() {
-    return [
-        API_URL,
-        `https://corsproxy.io/?${encodeURIComponent(API_URL)}`,
-        `https://r.jina.ai/${API_URL}`
-    ];
+    return state.settings.sources;
+}
+
+function rewriteDownloadUrl(url = "") {
+    const { rewriteFrom, rewriteTo } = state.settings;
+    if (!url || !rewriteFrom || !rewriteTo || !url.startsWith(rewriteFrom)) {
+        return url;
+    }
+
+    return `${rewriteTo.replace(/\/+$/, "")}/${url.slice(rewriteFrom.length).replace(/^\/+/, "")}`;
+}
+
+function recordDiagnostic(kind, source, startedAt, status, error = null) {
+    state.diagnostics.unshift({
+        at: new Date().toISOString(),
+        kind,
+        source,
+        status: status ? String(status) : "",
+        duration: Math.round(performance.now() - startedAt),
+        error: error ? error.message || String(error) : ""
+    });
+    state.diagnostics.length = Math.min(state.diagnostics.length, MAX_DIAGNOSTICS);
+
+    renderDiagnostics();
 }
 
 async function loadPayload() {
     let lastError = null;
 
     for (const source of getApiSources()) {
+        const startedAt = performance.now();
+        let status = 0;
         try {
             const response = await fetch(source, { mode: "cors" });
+            status = response.status;
             if (!response.ok) {
                 throw new Error(`Request failed with ${response.status}`);
             }
 
             const body = await response.text();
             const data = JSON.parse(body);
-            return { data, source };
+            recordDiagnostic("Catalogue", source, startedAt, status);
+            return { data, source, cachedAt: response.headers.get("X-TMF-Cached-At") || "" };
         } catch (error) {
             lastError = error;
-            console.warn(`Failed to fetch TMF resources from ${source}`, error);
+            recordDiagnostic("Catalogue", source, startedAt, status, error);
         }
     }
 
@@ -123,207 +262,333 @@ async function fetchResources() {
     toggleSpinner(true);
 
     try {
-        const { data, source } = await loadPayload();
-        state.apiSource = source;
-        state.documents = normaliseResources(data);
-        state.documentMap = new Map(state.documents.map((doc) => [doc.id, doc]));
-        state.currentPage = 1;
-        populateCategories(state.documents);
-        populateDomains(state.documents);
-        applyFilters();
+        const { data, source, cachedAt } = await loadPayload();
+        applyCatalogue(data, source, cachedAt);
 
-        if (source !== API_URL) {
-            setStatus("Loaded via compatibility proxy because the TMF bucket blocks cross-origin requests.", false);
+        if (cachedAt) {
+            setStatus(`Offline: showing catalogue data from ${formatTimestamp(cachedAt)}.`, false);
+        } else if (source !== getApiSources()[0]) {
+            setStatus(`Loaded from ${source} because earlier sources could not be reached. See Data sources for details.`, false);
         } else {
             setStatus("", false, true);
         }
     } catch (error) {
         console.error(error);
-        setStatus("Unable to load resources right now. Please try again later.", true);
+        setStatus("Unable to load resources right now. See Data sources for details, or load a local index.json there.", true);
     } finally {
         toggleSpinner(false);
     }
 }
 
-function normaliseResources(payload) {
-    const documentsByKey = new Map();
+function applyCatalogue(data, source, cachedAt = "") {
+    state.apiSource = source;
+    state.quality = validateCatalogue(data);
+    updateQualityLink();
+    state.documents = normaliseResources(data);
+    state.documentMap = new Map(state.documents.map((doc) => [doc.id, doc]));
+    state.currentPage = 1;
+    assignDocumentEntities();
+    populateFacets(state.documents);
+    applyFilters();
+    updateWatchlistLink();
+    if (!source.startsWith("file:") && !cachedAt) {
+        recordCatalogueSnapshot(state.documents).then(() => {
+            if (state.route.view === "changes") {
+                renderRoute();
+            }
+        });
+    }
+}
 
-    Object.entries(payload || {}).forEach(([categoryName, groupedResources]) => {
-        Object.values(groupedResources || {}).forEach((entries) => {
-            entries.forEach((entry) => {
-                const documentNumber = entry?.document_number || entry?.api_description?.api_name || entry?.options?.[0]?.name || "Untitled";
-                const apiName = entry?.api_description?.api_name || documentNumber;
-                const key = documentNumber || apiName;
+async function recordCatalogueSnapshot(documents) {
+    const snapshot = createCatalogueSnapshot(documents);
 
-                if (!documentsByKey.has(key)) {
-                    documentsByKey.set(key, {
-                        key,
-                        documentNumber,
-                        apiName,
-                        description: entry?.api_description?.api_description || "",
-                        categories: new Set(),
-                        contexts: new Set(),
-                        lifecycle: new Set(),
-                        versions: new Map()
-                    });
-                }
+    try {
+        const stored = await readStoredValue(SNAPSHOT_KEY);
+        let lastChange = stored?.lastChange || null;
 
-                const doc = documentsByKey.get(key);
-                if (!doc.description && entry?.api_description?.api_description) {
-                    doc.description = entry.api_description.api_description;
-                }
+        if (stored?.documents) {
+            const changes = diffCatalogues(stored, snapshot);
+            if (countCatalogueChanges(changes)) {
+                lastChange = { from: stored.savedAt, to: snapshot.savedAt, changes };
+            }
+        }
 
-                if (categoryName) {
-                    doc.categories.add(categoryName);
-                }
+        await writeStoredValue(SNAPSHOT_KEY, { ...snapshot, lastChange });
+        state.changes = { status: stored?.documents ? "ready" : "baseline", baselineAt: stored?.savedAt || snapshot.savedAt, lastChange };
+    } catch (error) {
+        console.warn("Unable to compare the catalogue with the previous visit", error);
+        state.changes = { status: "unavailable", lastChange: null };
+    }
 
-                if (entry?.context) {
-                    String(entry.context)
-                        .split(",")
-                        .map((value) => value.trim())
-                        .filter(Boolean)
-                        .forEach((contextValue) => doc.contexts.add(contextValue));
-                }
+    updateChangesLink();
+}
 
-                if (entry?.lifecycle_status) {
-                    doc.lifecycle.add(entry.lifecycle_status);
-                }
+function createCatalogueSnapshot(documents) {
+    return {
+        savedAt: new Date().toISOString(),
+        documents: documents.map((doc) => ({
+            id: doc.id,
+            key: doc.key,
+            documentNumber: doc.documentNumber,
+            apiName: doc.apiName,
+            versions: doc.versions.map((version) => ({
+                version: version.version,
+                lifecycle: version.lifecycle,
+                release: version.release,
+                published: version.published,
+                options: version.options.map((option) => ({ type: option.type, downloadUrl: option.downloadUrl }))
+            }))
+        }))
+    };
+}
 
-                const versionKey = entry?.version_info || "Unversioned";
-                if (!doc.versions.has(versionKey)) {
-                    doc.versions.set(versionKey, {
-                        version: entry?.version_info || "Unversioned",
-                        release: entry?.release_info || "",
-                        lifecycle: entry?.lifecycle_status || "",
-                        published: entry?.published_date || "",
-                        notes: entry?.notes || "",
-                        options: []
-                    });
-                }
+function diffCatalogues(previous, current) {
+    const getKey = (doc) => doc.key || doc.documentNumber;
+    const before = new Map((previous.documents || []).map((doc) => [getKey(doc), doc]));
+    const after = new Map((current.documents || []).map((doc) => [getKey(doc), doc]));
+    const changes = { addedApis: [], removedApis: [], addedVersions: [], removedVersions: [], lifecycleChanges: [], urlChanges: [] };
+    const describe = (doc) => ({ id: doc.id, documentNumber: doc.documentNumber, apiName: doc.apiName });
 
-                const version = doc.versions.get(versionKey);
-                if (!version.release && entry?.release_info) {
-                    version.release = entry.release_info;
-                }
-                if (!version.lifecycle && entry?.lifecycle_status) {
-                    version.lifecycle = entry.lifecycle_status;
-                }
-                if (!version.published && entry?.published_date) {
-                    version.published = entry.published_date;
-                }
-                if (!version.notes && entry?.notes) {
-                    version.notes = entry.notes;
-                }
+    after.forEach((doc, documentKey) => {
+        if (!before.has(documentKey)) {
+            changes.addedApis.push({ ...describe(doc), versions: doc.versions.map((version) => version.version) });
+        }
+    });
+    before.forEach((doc, documentKey) => {
+        if (!after.has(documentKey)) {
+            changes.removedApis.push(describe(doc));
+        }
+    });
 
-                (entry?.options || []).forEach((option) => {
-                    version.options.push({
-                        type: option?.type || "",
-                        name: option?.name || "Download",
-                        downloadUrl: option?.download || "",
-                        default: option?.default || "",
-                        icon: option?.icon || ""
-                    });
-                });
+    after.forEach((doc, documentKey) => {
+        const previousDoc = before.get(documentKey);
+        if (!previousDoc) {
+            return;
+        }
+
+        const previousVersions = new Map(previousDoc.versions.map((version) => [version.version, version]));
+        const currentVersions = new Map(doc.versions.map((version) => [version.version, version]));
+
+        currentVersions.forEach((version, key) => {
+            const previousVersion = previousVersions.get(key);
+            if (!previousVersion) {
+                changes.addedVersions.push({ ...describe(doc), version: key, lifecycle: version.lifecycle, published: version.published });
+                return;
+            }
+
+            if (previousVersion.lifecycle !== version.lifecycle) {
+                changes.lifecycleChanges.push({ ...describe(doc), version: key, from: previousVersion.lifecycle, to: version.lifecycle });
+            }
+
+            diffDownloadUrls(previousVersion.options, version.options).forEach((change) => {
+                changes.urlChanges.push({ ...describe(doc), version: key, ...change });
             });
         });
+
+        previousVersions.forEach((version, key) => {
+            if (!currentVersions.has(key)) {
+                changes.removedVersions.push({ ...describe(doc), version: key, lifecycle: version.lifecycle });
+            }
+        });
     });
 
-    const usedSlugs = new Set();
-    const documents = [];
+    return changes;
+}
+
+function diffDownloadUrls(before = [], after = []) {
+    const group = (options) => options.reduce((map, option) => {
+        if (!option.downloadUrl) {
+            return map;
+        }
+        if (!map.has(option.type)) {
+            map.set(option.type, new Set());
+        }
+        map.get(option.type).add(option.downloadUrl);
+        return map;
+    }, new Map());
+
+    const previous = group(before);
+    const current = group(after);
+    const types = Array.from(new Set([...previous.keys(), ...current.keys()])).sort(compareStrings);
+    const changes = [];
 
-    documentsByKey.forEach((doc, key) => {
-        let slug = createSlug(key);
-        while (usedSlugs.has(slug)) {
-            slug = `${slug}-${usedSlugs.size + 1}`;
+    types.forEach((type) => {
+        const removed = Array.from(previous.get(type) || []).filter((url) => !current.get(type)?.has(url));
+        const added = Array.from(current.get(type) || []).filter((url) => !previous.get(type)?.has(url));
+
+        while (removed.length && added.length) {
+            changes.push({ type, change: "changed", from: removed.shift(), to: added.shift() });
         }
-        usedSlugs.add(slug);
+        removed.forEach((url) => changes.push({ type, change: "removed", from: url, to: "" }));
+        added.forEach((url) => changes.push({ type, change: "added", from: "", to: url }));
+    });
 
-        const versions = Array.from(doc.versions.values());
-        versions.sort((a, b) => {
-            const dateDiff = parseDate(b.published) - parseDate(a.published);
-            if (dateDiff !== 0) {
-                return dateDiff;
+    return changes;
+}
+
+function countCatalogueChanges(changes) {
+    return Object.values(changes || {}).reduce((total, list) => total + list.length, 0);
+}
+
+function openCatalogueStore() {
+    if (!openCatalogueStore.request) {
+        openCatalogueStore.request = new Promise((resolve, reject) => {
+            if (typeof indexedDB === "undefined") {
+                reject(new Error("IndexedDB is not available in this browser."));
+                return;
             }
-            return compareStrings(b.version, a.version);
-        });
 
-        const optionTypes = new Set();
-        versions.forEach((version) => {
-            version.options.sort((a, b) => compareStrings(a.type, b.type) || compareStrings(a.name, b.name));
-            version.options.forEach((option) => {
-                if (option.type) {
-                    optionTypes.add(option.type);
-                }
-            });
+            const request = indexedDB.open(STORE_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore("catalogue");
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
         });
+    }
 
-        const optionTypesList = Array.from(optionTypes).sort((a, b) => compareStrings(a, b));
-        const contextsList = Array.from(doc.contexts).sort((a, b) => compareStrings(a, b));
-        const latestPublished = versions.reduce((acc, version) => Math.max(acc, parseDate(version.published)), 0);
-        const searchParts = [
-            doc.documentNumber,
-            doc.apiName,
-            doc.description,
-            Array.from(doc.categories).join(" "),
-            contextsList.join(" "),
-            Array.from(doc.lifecycle).join(" "),
-            versions.map((version) => version.version).join(" "),
-            optionTypesList.join(" ")
-        ];
-        const searchIndex = stripHtml(searchParts.join(" ")).toLowerCase();
-
-        documents.push({
-            id: slug,
-            key,
-            documentNumber: doc.documentNumber || key,
-            apiName: doc.apiName || doc.documentNumber || key,
-            description: doc.description,
-            categories: Array.from(doc.categories).sort((a, b) => compareStrings(a, b)),
-            contexts: contextsList,
-            lifecycle: Array.from(doc.lifecycle).sort((a, b) => compareStrings(a, b)),
-            versions,
-            optionTypes: optionTypesList,
-            primaryType: optionTypesList[0] || "",
-            latestPublished,
-            searchIndex
-        });
+    return openCatalogueStore.request;
+}
+
+async function readStoredValue(key) {
+    const database = await openCatalogueStore();
+    return new Promise((resolve, reject) => {
+        const request = database.transaction("catalogue", "readonly").objectStore("catalogue").get(key);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
     });
+}
 
-    documents.sort((a, b) => compareStrings(a.documentNumber, b.documentNumber) || compareStrings(a.apiName, b.apiName));
+async function writeStoredValue(key, value) {
+    const database = await openCatalogueStore();
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction("catalogue", "readwrite");
+        transaction.objectStore("catalogue").put(value, key);
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
 
-    return documents;
+function formatFindingLocation(finding) {
+    return [finding.category, finding.documentNumber, finding.version, finding.option].filter(Boolean).join(" / ") || "Catalogue";
 }
 
 function handleRouteChange() {
-    const previousRoute = state.route;
     state.route = parseHash();
+    applyViewStateParams(state.route.params);
+    applyFilters();
+}
 
-    if (previousRoute.view !== state.route.view) {
-        state.currentPage = 1;
+function parseHash() {
+    const hash = window.location.hash.replace(/^#/, "").trim();
+    const queryIndex = hash.indexOf("?");
+    const path = queryIndex === -1 ? hash : hash.slice(0, queryIndex);
+    const params = new URLSearchParams(queryIndex === -1 ? "" : hash.slice(queryIndex + 1));
+
+    const parts = path.split("/").filter(Boolean).map((part) => decodeURIComponent(part));
+    if (parts[0] === "document" && parts[1]) {
+        return { view: "detail", id: parts[1], version: parts[2] || null, asset: parts[3] || null, params };
+    }
+    if (parts[0] === "compare" && parts[1]) {
+        const ids = Array.from(new Set(parts[1].split(",").map((id) => id.trim()).filter(Boolean))).slice(0, MAX_COMPARE);
+        return { view: "compare", id: null, ids, params };
     }
 
-    renderRoute();
+    const page = PAGE_ROUTES.find((candidate) => candidate.path === parts[0]);
+    if (page) {
+        return { view: page.view, id: null, params };
+    }
+
+    return { view: "index", id: null, params };
 }
 
-function parseHash() {
-    const hash = window.location.hash.replace(/^#/, "").trim();
-    if (!hash || hash === "/") {
-        return { view: "index", id: null };
+function buildHash(route = state.route) {
+    let path = "/";
+    if (route.view === "detail" && route.id) {
+        path = `/${["document", route.id, route.version, route.version && route.asset].filter(Boolean).map(encodeURIComponent).join("/")}`;
+    } else if (route.view === "compare" && route.ids?.length) {
+        path = `/compare/${route.ids.map(encodeURIComponent).join(",")}`;
+    } else {
+        const page = PAGE_ROUTES.find((candidate) => candidate.view === route.view);
+        if (page) {
+            path = `/${page.path}`;
+        }
     }
+    const params = getViewStateParams().toString();
+    return `#${path}${params ? `?${params}` : ""}`;
+}
 
-    const parts = hash.split("/").filter(Boolean);
-    if (parts[0] === "document" && parts[1]) {
-        return { view: "detail", id: decodeURIComponent(parts[1]) };
+function getViewStateParams() {
+    const params = new URLSearchParams();
+
+    if (state.searchTerm) {
+        params.set("q", state.searchTerm);
+    }
+
+    FACETS.forEach((facet) => {
+        Array.from(state.facets[facet.key])
+            .sort((a, b) => compareStrings(a, b))
+            .forEach((value) => params.append(facet.key, value));
+    });
+
+    if (state.currentSort !== DEFAULT_SORT) {
+        params.set("sort", state.currentSort);
+    }
+
+    if (state.currentPage > 1) {
+        params.set("page", String(state.currentPage));
+    }
+
+    return params;
+}
+
+function applyViewStateParams(params) {
+    state.searchTerm = (params.get("q") || "").trim();
+    state.query = parseSearchQuery(state.searchTerm);
+
+    FACETS.forEach((facet) => {
+        const known = new Set(state.documents.flatMap((doc) => facet.values(doc)));
+        const selected = state.facets[facet.key];
+        selected.clear();
+        params.getAll(facet.key).forEach((value) => {
+            if (!state.documents.length || known.has(value)) {
+                selected.add(value);
+            }
+        });
+    });
+
+    const sort = params.get("sort");
+    const sortOptions = Array.from(elements.sort?.options || []).map((option) => option.value);
+    state.currentSort = sort && sortOptions.includes(sort) ? sort : DEFAULT_SORT;
+    state.currentPage = Math.max(1, Number.parseInt(params.get("page"), 10) || 1);
+
+    if (elements.search) {
+        elements.search.value = state.searchTerm;
+    }
+    if (elements.sort) {
+        elements.sort.value = state.currentSort;
+    }
+    syncFacetInputs();
+}
+
+function updateLocation(replace = false) {
+    const targetHash = buildHash();
+    if (window.location.hash === targetHash) {
+        return;
     }
 
-    return { view: "index", id: null };
+    if (replace) {
+        history.replaceState(null, "", targetHash);
+    } else {
+        history.pushState(null, "", targetHash);
+    }
 }
 
 function renderRoute() {
     const isDetail = state.route.view === "detail";
+    const isCompare = state.route.view === "compare";
 
     if (elements.detailView) {
-        elements.detailView.hidden = !isDetail;
+        elements.detailView.hidden = state.route.view === "index";
     }
 
     elements.body.classList.toggle("view-detail", isDetail);
@@ -342,20 +607,76 @@ function renderRoute() {
             return;
         }
 
-        if (!state.filtered.some((item) => item.id === state.route.id)) {
+        if (elements.detailView?.dataset.document !== doc.id) {
+            renderDetail(doc);
+        }
+        updateBreadcrumb(doc);
+        focusDetailTarget(doc);
+    } else if (isCompare) {
+        const docs = state.route.ids.map((id) => state.documentMap.get(id)).filter(Boolean);
+        if (docs.length < 2) {
+            setStatus("Choose at least two known APIs to compare.", true);
             navigateToIndex();
             return;
         }
+        if (docs.length < state.route.ids.length) {
+            setStatus("Some of the requested APIs could not be found and were left out of the comparison.", true);
+        }
 
-        renderDetail(doc);
-        updateBreadcrumb(doc);
+        state.compare = docs.map((doc) => doc.id);
+        if (elements.detailView?.dataset.document !== `compare:${state.compare.join(",")}`) {
+            renderCompare(docs);
+        }
+        updateBreadcrumb();
+    } else if (state.route.view === "timeline") {
+        if (elements.detailView?.dataset.document !== getFilteredViewKey("timeline")) {
+            renderCatalogueTimeline();
+        }
+        updateBreadcrumb();
+    } else if (state.route.view === "stats") {
+        if (elements.detailView?.dataset.document !== getFilteredViewKey("stats")) {
+            renderStats();
+        }
+        updateBreadcrumb();
+    } else if (state.route.view === "coverage") {
+        if (elements.detailView?.dataset.document !== getFilteredViewKey("coverage")) {
+            renderCoverage();
+        }
+        updateBreadcrumb();
+    } else if (state.route.view === "graph") {
+        if (elements.detailView?.dataset.document !== getGraphViewKey()) {
+            renderGraph();
+        }
+        updateBreadcrumb();
+    } else if (state.route.view === "quality") {
+        if (elements.detailView?.dataset.document !== getQualityViewKey()) {
+            renderQuality();
+        }
+        updateBreadcrumb();
+    } else if (state.route.view === "settings") {
+        if (elements.detailView?.dataset.document !== "settings") {
+            renderSettings();
+        }
+        updateBreadcrumb();
+    } else if (state.route.view === "advisories") {
+        if (elements.detailView?.dataset.document !== "advisories") {
+            renderAdvisories();
+        }
+        updateBreadcrumb();
+    } else if (state.route.view === "changes") {
+        if (elements.detailView?.dataset.document !== getChangesViewKey()) {
+            renderChanges();
+        }
+        updateBreadcrumb();
     } else {
         if (elements.detailView) {
             elements.detailView.innerHTML = "";
+            delete elements.detailView.dataset.document;
         }
         updateBreadcrumb();
     }
 
+    renderCompareTray();
     renderIndex();
 }
 
@@ -380,9 +701,12 @@ function renderIndex() {
 
     if (!totalItems) {
         if (elements.cardGrid) {
-            elements.cardGrid.innerHTML = `<div class="empty-state">No APIs match your filters yet.</div>`;
+            elements.cardGrid.innerHTML = hasEntityQualifier(state.query) && !state.entityIndex.specs.size
+                ? `<div class="empty-state">entity: searches use the entity index. Open "Entity index" above and index the APIs to search.</div>`
+                : `<div class="empty-state">No APIs match your filters yet.</div>`;
         }
         updateSummary(0);
+        renderBulkPanel();
         if (elements.pagination) {
             elements.pagination.hidden = true;
         }
@@ -391,6 +715,7 @@ function renderIndex() {
 
     const fragment = document.createDocumentFragment();
     const isDetail = state.route.view === "detail";
+    const highlightPattern = getHighlightPattern(state.query);
 
     pageItems.forEach((doc) => {
         const card = document.createElement("article");
@@ -402,18 +727,56 @@ function renderIndex() {
         card.setAttribute("role", "link");
         card.setAttribute("aria-label", `${doc.documentNumber}: ${doc.apiName}`);
 
+        const select = document.createElement("label");
+        select.className = "doc-card__select";
+        select.title = "Select for bulk download";
+        const selectInput = document.createElement("input");
+        selectInput.type = "checkbox";
+        selectInput.checked = state.selection.has(doc.id);
+        selectInput.setAttribute("aria-label", `Select ${doc.documentNumber} for bulk download`);
+        selectInput.addEventListener("change", () => toggleSelection(doc, selectInput.checked));
+        select.appendChild(selectInput);
+        select.addEventListener("click", (event) => event.stopPropagation());
+        select.addEventListener("keydown", (event) => event.stopPropagation());
+        card.appendChild(select);
+
         const number = document.createElement("span");
         number.className = "doc-card__number";
-        number.textContent = doc.documentNumber;
+        appendHighlighted(number, doc.documentNumber, highlightPattern);
 
         const name = document.createElement("h2");
         name.className = "doc-card__name";
-        name.textContent = doc.apiName;
+        appendHighlighted(name, doc.apiName, highlightPattern);
 
         const meta = document.createElement("div");
         meta.className = "doc-card__meta";
         meta.appendChild(createBadge(`${doc.versions.length} version${doc.versions.length === 1 ? "" : "s"}`));
 
+        const watchEntries = getWatchEntries(doc);
+        if (watchEntries.length) {
+            card.classList.add("doc-card--watched");
+            meta.appendChild(createBadge(`Watching ${watchEntries.map((entry) => entry.version).join(", ")}`));
+            const advisoryTotal = watchEntries.reduce((count, entry) => count + getAdvisories(entry).length, 0);
+            if (advisoryTotal) {
+                const advisoryBadge = createBadge(`${advisoryTotal} advisor${advisoryTotal === 1 ? "y" : "ies"}`);
+                advisoryBadge.classList.add("badge--warning");
+                meta.appendChild(advisoryBadge);
+            }
+        }
+
+        const compareButton = document.createElement("button");
+        compareButton.type = "button";
+        compareButton.className = "doc-card__compare";
+        const isCompared = state.compare.includes(doc.id);
+        compareButton.setAttribute("aria-pressed", String(isCompared));
+        compareButton.textContent = isCompared ? "✓ Comparing" : "+ Compare";
+        compareButton.addEventListener("click", (event) => {
+            event.stopPropagation();
+            toggleCompare(doc);
+        });
+        compareButton.addEventListener("keydown", (event) => event.stopPropagation());
+        meta.appendChild(compareButton);
+
         card.append(number, name, meta);
 
         if (doc.contexts.length) {
@@ -425,6 +788,11 @@ function renderIndex() {
             card.appendChild(contextsRow);
         }
 
+        const entityMatches = getEntityMatches(doc, state.query);
+        if (entityMatches.length) {
+            card.appendChild(createEntityMatchList(entityMatches));
+        }
+
         card.addEventListener("click", () => navigateToDocument(doc));
         card.addEventListener("keydown", (event) => {
             if (event.key === "Enter" || event.key === " ") {
@@ -438,6 +806,7 @@ function renderIndex() {
 
     elements.cardGrid?.appendChild(fragment);
     updateSummary(totalItems);
+    renderBulkPanel();
     renderPagination(totalPages, totalItems);
 }
 
@@ -447,6 +816,8 @@ function renderDetail(doc) {
     }
 
     elements.detailView.innerHTML = "";
+    elements.detailView.dataset.document = doc.id;
+    delete elements.detailView.dataset.target;
 
     const container = document.createElement("article");
     container.className = "detail-card";
@@ -500,12 +871,24 @@ function renderDetail(doc) {
     }
 
     appendMeta(meta, "Available versions", doc.versions.length ? `${doc.versions.length}` : "");
-    appendMeta(meta, "Data source", state.apiSource === API_URL ? "TMF repository" : "Compatibility proxy");
+    appendMeta(meta, "Data source", state.apiSource === API_URL ? "TMF repository" : state.apiSource);
 
     if (meta.childElementCount) {
         container.appendChild(meta);
     }
 
+    const timeline = createReleaseTimeline(doc);
+    if (timeline) {
+        container.appendChild(timeline);
+    }
+
+    container.appendChild(createDependencySection(doc));
+
+    const compareSection = createVersionCompare(doc);
+    if (compareSection) {
+        container.appendChild(compareSection);
+    }
+
     const versionHeading = document.createElement("h3");
     versionHeading.className = "detail-card__section-title";
     versionHeading.textContent = "Downloadable assets by version";
@@ -517,21 +900,44 @@ function renderDetail(doc) {
     doc.versions.forEach((version) => {
         const versionCard = document.createElement("section");
         versionCard.className = "version-card";
+        versionCard.dataset.version = version.version;
 
         const versionHeader = document.createElement("header");
         versionHeader.className = "version-card__header";
 
         const versionTitle = document.createElement("h4");
-        versionTitle.textContent = version.version;
+        versionTitle.appendChild(createRouteLink(version.version, { view: "detail", id: doc.id, version: version.version }, "version-card__link"));
         versionHeader.appendChild(versionTitle);
 
         const versionMeta = document.createElement("div");
         versionMeta.className = "version-card__meta";
         appendMetaText(versionMeta, "Release", version.release);
-        appendMetaText(versionMeta, "Published", version.published);
+        appendMetaText(versionMeta, "Published", version.publishedTime || !version.published ? version.published : `${version.published} (unrecognised date)`);
         appendMetaText(versionMeta, "Status", version.lifecycle);
+        appendMetaText(versionMeta, "Source", version.categories.join(", "));
         versionHeader.appendChild(versionMeta);
 
+        const watchButton = document.createElement("button");
+        watchButton.type = "button";
+        watchButton.className = "doc-card__compare version-card__watch";
+        watchButton.dataset.version = version.version;
+        watchButton.title = "Add this version to the watchlist";
+        watchButton.addEventListener("click", () => toggleWatch(doc, version));
+
+        const versionActions = document.createElement("div");
+        versionActions.className = "version-card__actions";
+        versionActions.appendChild(watchButton);
+
+        if (typeof caches !== "undefined" && getOfflineOptions(version).length) {
+            const offlineButton = document.createElement("button");
+            offlineButton.type = "button";
+            offlineButton.className = "doc-card__compare version-card__offline";
+            offlineButton.dataset.version = version.version;
+            offlineButton.addEventListener("click", () => toggleVersionOffline(doc, version, offlineButton));
+            versionActions.appendChild(offlineButton);
+        }
+        versionHeader.appendChild(versionActions);
+
         versionCard.appendChild(versionHeader);
 
         if (version.notes) {
@@ -541,190 +947,5833 @@ function renderDetail(doc) {
             versionCard.appendChild(notes);
         }
 
-        const downloads = document.createElement("ul");
-        downloads.className = "download-list";
+        const explorerHost = document.createElement("div");
+        explorerHost.className = "spec-explorer-host";
+        explorerHost.hidden = true;
 
-        if (!version.options.length) {
-            const empty = document.createElement("li");
-            empty.className = "download-item download-item--empty";
-            empty.textContent = "No downloads available for this version yet.";
-            downloads.appendChild(empty);
+        if (version.sources.length > 1) {
+            version.sources.forEach((source) => versionCard.appendChild(createVersionSource(doc, version, source, explorerHost)));
         } else {
-            version.options.forEach((option) => {
-                const item = document.createElement("li");
-                item.className = "download-item";
-
-                const info = document.createElement("div");
-                info.className = "download-info";
-
-                if (option.type) {
-                    info.appendChild(createBadge(option.type));
-                }
-
-                const name = document.createElement("span");
-                name.className = "download-name";
-                name.textContent = option.name;
-                info.appendChild(name);
-
-                item.appendChild(info);
-
-                if (option.downloadUrl) {
-                    const link = document.createElement("a");
-                    link.className = "download-button";
-                    link.href = option.downloadUrl;
-                    link.target = "_blank";
-                    link.rel = "noopener";
-                    link.download = "";
-                    link.textContent = "Download";
-                    item.appendChild(link);
-                }
-
-                downloads.appendChild(item);
-            });
+            versionCard.appendChild(createDownloadList(doc, version, version.options, explorerHost));
         }
 
-        versionCard.appendChild(downloads);
+        versionCard.appendChild(explorerHost);
         versionsWrapper.appendChild(versionCard);
     });
 
     container.appendChild(versionsWrapper);
     elements.detailView.appendChild(container);
+    updateWatchButtons(doc);
+    updateOfflineControls();
 }
 
-function applyFilters() {
-    const filtered = state.documents.filter((doc) => {
-        const matchesCategory = state.activeCategory === "all" || doc.categories.includes(state.activeCategory);
-        if (!matchesCategory) {
-            return false;
-        }
+function createVersionSource(doc, version, source, explorerHost) {
+    const group = document.createElement("section");
+    group.className = "version-source";
+    group.dataset.category = source.category;
 
-        const matchesDomain = state.activeDomain === "all" || doc.contexts.includes(state.activeDomain);
-        if (!matchesDomain) {
-            return false;
-        }
+    const header = document.createElement("header");
+    header.className = "version-source__header";
+    header.appendChild(createBadge(source.category || "Uncategorised"));
+
+    const meta = document.createElement("div");
+    meta.className = "version-card__meta";
+    appendMetaText(meta, "Status", source.lifecycle);
+    appendMetaText(meta, "Release", source.release);
+    appendMetaText(meta, "Published", source.published);
+    header.appendChild(meta);
+    group.appendChild(header);
+
+    if (source.notes && source.notes !== version.notes) {
+        const notes = document.createElement("p");
+        notes.className = "version-card__notes";
+        notes.textContent = stripHtml(source.notes);
+        group.appendChild(notes);
+    }
 
-        if (!state.searchTerm) {
-            return true;
-        }
+    group.appendChild(createDownloadList(doc, version, source.options, explorerHost));
+    return group;
+}
 
-        return doc.searchIndex.includes(state.searchTerm);
-    });
+function createDownloadList(doc, version, options, explorerHost) {
+    const downloads = document.createElement("ul");
+    downloads.className = "download-list";
 
-    state.filtered = sortDocuments(filtered);
+    if (!options.length) {
+        const empty = document.createElement("li");
+        empty.className = "download-item download-item--empty";
+        empty.textContent = "No downloads available for this version yet.";
+        downloads.appendChild(empty);
+    } else {
+        options.forEach((option) => {
+            const item = document.createElement("li");
+            item.className = "download-item";
+            item.dataset.type = option.type;
+
+            const info = document.createElement("div");
+            info.className = "download-info";
+
+            if (option.type) {
+                const assetRoute = { view: "detail", id: doc.id, version: version.version, asset: option.type };
+                const permalink = createRouteLink("#", assetRoute, "download-permalink");
+                permalink.setAttribute("aria-label", `Link to ${doc.documentNumber} ${version.version} ${option.type}`);
+                info.append(permalink, createBadge(option.type));
+            }
 
-    const maxPages = Math.ceil(Math.max(state.filtered.length, 1) / state.pageSize);
-    if (state.currentPage > maxPages) {
-        state.currentPage = 1;
-    }
+            const name = document.createElement("span");
+            name.className = "download-name";
+            name.textContent = option.name;
+            info.appendChild(name);
+
+            item.appendChild(info);
+
+            if (option.downloadUrl) {
+                const actions = document.createElement("div");
+                actions.className = "download-actions";
+
+                if (option.type === "swagger") {
+                    const exploreButton = document.createElement("button");
+                    exploreButton.type = "button";
+                    exploreButton.className = "download-button download-button--secondary";
+                    exploreButton.textContent = "Explore";
+                    exploreButton.setAttribute("aria-expanded", "false");
+                    exploreButton.addEventListener("click", () => toggleSpecExplorer(explorerHost, option, exploreButton));
+                    actions.appendChild(exploreButton);
+                    actions.appendChild(createTypesMenu(option));
+                }
 
-    renderRoute();
-}
+                if (option.type === "postman") {
+                    const viewButton = document.createElement("button");
+                    viewButton.type = "button";
+                    viewButton.className = "download-button download-button--secondary";
+                    viewButton.textContent = "View";
+                    viewButton.setAttribute("aria-expanded", "false");
+                    viewButton.addEventListener("click", () => toggleSpecExplorer(explorerHost, option, viewButton, renderCollectionViewer));
+                    actions.appendChild(viewButton);
+                }
 
-function sortDocuments(items) {
-    const sorted = [...items];
+                const link = document.createElement("a");
+                link.className = "download-button";
+                link.href = rewriteDownloadUrl(option.downloadUrl);
+                link.dataset.url = option.downloadUrl;
+                link.target = "_blank";
+                link.rel = "noopener";
+                link.download = "";
+                link.textContent = "Download";
+                actions.appendChild(link);
+
+                item.appendChild(actions);
+            }
 
-    switch (state.currentSort) {
-        case "type":
-            sorted.sort((a, b) => compareStrings(a.primaryType, b.primaryType) || compareStrings(a.apiName, b.apiName));
-            break;
-        case "date":
-            sorted.sort((a, b) => b.latestPublished - a.latestPublished || compareStrings(a.apiName, b.apiName));
-            break;
-        case "name":
-        default:
-            sorted.sort((a, b) => compareStrings(a.apiName, b.apiName) || compareStrings(a.documentNumber, b.documentNumber));
-            break;
+            downloads.appendChild(item);
+        });
     }
 
-    return sorted;
+    return downloads;
 }
 
-function renderPagination(totalPages, totalItems) {
-    if (!elements.pagination) {
-        return;
-    }
+function toggleSpecExplorer(host, option, trigger, render = renderSpecExplorer) {
+    const isOpen = !host.hidden && host.dataset.source === option.downloadUrl;
 
-    if (!totalItems || totalPages <= 1) {
-        elements.pagination.hidden = true;
+    host.activeTrigger?.setAttribute("aria-expanded", "false");
+
+    if (isOpen) {
+        host.hidden = true;
+        host.innerHTML = "";
+        delete host.dataset.source;
+        host.activeTrigger = null;
         return;
     }
 
-    elements.pagination.hidden = false;
-    elements.prevPage.disabled = state.currentPage === 1;
-    elements.nextPage.disabled = state.currentPage === totalPages;
-    elements.pageInfo.textContent = `Page ${state.currentPage} of ${totalPages}`;
+    host.dataset.source = option.downloadUrl;
+    host.activeTrigger = trigger;
+    trigger.setAttribute("aria-expanded", "true");
+    render(host, option);
 }
 
-function updateSummary(totalItems) {
-    if (!elements.resultCount || !elements.resultsSummary) {
-        return;
-    }
+async function renderSpecExplorer(host, option) {
+    host.hidden = false;
+    host.innerHTML = "";
 
-    elements.resultCount.textContent = totalItems.toString();
-    elements.resultsSummary.hidden = false;
-}
+    const status = document.createElement("p");
+    status.className = "spec-explorer__status";
+    status.textContent = `Loading ${option.name}...`;
+    host.appendChild(status);
 
-function populateCategories(documents) {
-    if (!elements.category) {
-        return;
+    try {
+        const { spec, source } = await loadSpecification(option.downloadUrl);
+        if (host.dataset.source !== option.downloadUrl) {
+            return;
+        }
+
+        host.innerHTML = "";
+        host.appendChild(createSpecExplorer(buildSpecModel(spec), source));
+    } catch (error) {
+        console.error(error);
+        if (host.dataset.source !== option.downloadUrl) {
+            return;
+        }
+
+        status.textContent = `Unable to load ${option.name}: ${error.message}`;
+        status.classList.add("spec-explorer__status--error");
     }
+}
 
-    const previousValue = elements.category.value;
-    const categories = new Set();
-    documents.forEach((doc) => {
-        doc.categories.forEach((category) => {
-            if (category) {
-                categories.add(category);
-            }
+function createTypesMenu(option) {
+    const menu = document.createElement("details");
+    menu.className = "export-menu types-menu";
+
+    const summary = document.createElement("summary");
+    summary.className = "download-button download-button--secondary";
+    summary.textContent = "Generate types";
+
+    const panel = document.createElement("div");
+    panel.className = "export-menu__panel";
+    [
+        ["typescript", "TypeScript (.ts)"],
+        ["json-schema", "JSON Schema bundle (.json)"],
+        ["zip", "TypeScript and JSON Schema files (ZIP)"]
+    ].forEach(([format, text]) => {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "pager";
+        button.dataset.codegen = format;
+        button.textContent = text;
+        button.addEventListener("click", async () => {
+            menu.open = false;
+            button.disabled = true;
+            await downloadGeneratedTypes(option, format);
+            button.disabled = false;
         });
+        panel.appendChild(button);
     });
 
-    const sortedCategories = Array.from(categories).sort((a, b) => compareStrings(a, b));
-    const options = ["<option value=\"all\">All categories</option>"];
-    sortedCategories.forEach((category) => {
-        options.push(`<option value="${escapeHtml(category)}">${escapeHtml(category)}</option>`);
-    });
+    menu.append(summary, panel);
+    return menu;
+}
 
-    elements.category.innerHTML = options.join("");
+async function downloadGeneratedTypes(option, format) {
+    setStatus(`Generating types from ${option.name}...`);
 
-    if (sortedCategories.includes(previousValue)) {
-        elements.category.value = previousValue;
-        state.activeCategory = previousValue;
-    } else {
-        elements.category.value = "all";
-        state.activeCategory = "all";
-    }
+    try {
+        const { spec } = await loadSpecification(option.downloadUrl);
+        const model = buildSpecModel(spec);
+        const count = Object.keys(model.schemas).length;
+        if (!count) {
+            throw new Error("The specification does not declare any schemas.");
+        }
+
+        const { schemas, unresolved } = await resolveExternalSchemas(model.schemas, option.downloadUrl);
+        const baseName = option.name.replace(/\.(json|ya?ml)$/i, "");
+        const source = `${model.title}${model.version ? ` ${model.version}` : ""} (${option.name})`;
+        switch (format) {
+            case "json-schema":
+                downloadFile(`${baseName}.schema.json`, toJsonSchemaBundle(schemas, source), "application/schema+json");
+                break;
+            case "zip": {
+                const encoder = new TextEncoder();
+                const files = [
+                    { path: `${baseName}.ts`, data: encoder.encode(toTypeScriptDefinitions(schemas, source)) },
+                    ...toJsonSchemaFiles(schemas, source).map((file) => ({ path: `schemas/${file.path}`, data: encoder.encode(file.content) }))
+                ];
+                downloadFile(`${baseName}-types.zip`, createZip(files), "application/zip");
+                break;
+            }
+            case "typescript":
+            default:
+                downloadFile(`${baseName}.ts`, toTypeScriptDefinitions(schemas, source), "text/plain");
+                break;
+        }
+
+        const total = Object.keys(schemas).length;
+        const imported = total > count ? ` (${total - count} from referenced files)` : "";
+        setStatus(unresolved.length
+            ? `Generated ${total} types from ${option.name}${imported}. ${unresolved.length} referenced file${unresolved.length === 1 ? " was" : "s were"} not loaded (unreachable, or past the limit of ${MAX_EXTERNAL_SPECS} files), so ${unresolved.length === 1 ? "its" : "their"} types are left as unknown: ${unresolved.map(getFileName).join(", ")}.`
+            : `Generated ${total} types from ${option.name}${imported}.`, Boolean(unresolved.length));
+    } catch (error) {
+        console.error(error);
+        setStatus(`Unable to generate types from ${option.name}: ${error.message}`, true);
+    }
+}
+
+async function resolveExternalSchemas(localSchemas, baseUrl) {
+    const schemas = { ...localSchemas };
+    const loaded = new Set([baseUrl]);
+    const unresolved = [];
+    const queue = collectExternalRefs(localSchemas, baseUrl);
+
+    while (queue.length && loaded.size <= MAX_EXTERNAL_SPECS) {
+        const { url, fragment } = queue.shift();
+        if (loaded.has(url)) {
+            continue;
+        }
+        loaded.add(url);
+
+        try {
+            const { spec } = await loadSpecification(url);
+            const fileSchemas = spec.components?.schemas || spec.definitions || {};
+            const added = {};
+            Object.entries(fileSchemas).forEach(([name, schema]) => {
+                if (!Object.prototype.hasOwnProperty.call(schemas, name)) {
+                    added[name] = schema;
+                }
+            });
+            const fileName = getFileName(url).replace(/\.(json|ya?ml)$/i, "");
+            if (!fragment && !spec.openapi && !spec.swagger && !Object.prototype.hasOwnProperty.call(schemas, fileName)) {
+                added[fileName] = spec;
+            }
+            Object.assign(schemas, added);
+            queue.push(...collectExternalRefs(added, url));
+        } catch (error) {
+            unresolved.push(url);
+        }
+    }
+
+    queue.forEach(({ url }) => {
+        if (!loaded.has(url) && !unresolved.includes(url)) {
+            unresolved.push(url);
+        }
+    });
+
+    return { schemas, unresolved };
+}
+
+function collectExternalRefs(value, baseUrl, refs = []) {
+    if (Array.isArray(value)) {
+        value.forEach((item) => collectExternalRefs(item, baseUrl, refs));
+    } else if (value && typeof value === "object") {
+        Object.entries(value).forEach(([key, item]) => {
+            if (key === "$ref" && typeof item === "string" && !item.startsWith("#")) {
+                const [file, fragment = ""] = item.split("#");
+                refs.push({ url: new URL(file, baseUrl).href, fragment });
+            } else {
+                collectExternalRefs(item, baseUrl, refs);
+            }
+        });
+    }
+    return refs;
+}
+
+function registerServiceWorker() {
+    if (!("serviceWorker" in navigator)) {
+        return;
+    }
+
+    navigator.serviceWorker.register("./sw.js").catch((error) => {
+        console.warn("Offline mode is unavailable because the service worker failed to register", error);
+    });
+}
+
+async function refreshOfflineAssets() {
+    if (typeof caches === "undefined") {
+        return;
+    }
+
+    try {
+        const cache = await caches.open(OFFLINE_CACHE);
+        const requests = await cache.keys();
+        state.offlineAssets = new Set(requests.map((request) => request.url));
+    } catch (error) {
+        console.warn("Unable to read the offline asset cache", error);
+    }
+}
+
+function getOfflineUrl(url) {
+    const mirrorUrl = getMirrorUrl(url);
+    return mirrorUrl ? new URL(mirrorUrl, window.location.href).href : "";
+}
+
+function isAvailableOffline(url) {
+    return state.offlineAssets.has(getOfflineUrl(url));
+}
+
+function getOfflineOptions(version) {
+    return version.options.filter((option) => option.downloadUrl && OFFLINE_TYPES.includes(option.type) && getOfflineUrl(option.downloadUrl));
+}
+
+async function toggleVersionOffline(doc, version, button) {
+    const options = getOfflineOptions(version);
+    const isOffline = options.every((option) => isAvailableOffline(option.downloadUrl));
+
+    button.disabled = true;
+    toggleSpinner(true);
+
+    try {
+        const cache = await caches.open(OFFLINE_CACHE);
+
+        if (isOffline) {
+            await Promise.all(options.map((option) => cache.delete(getOfflineUrl(option.downloadUrl))));
+            setStatus(`Removed the offline copy of ${doc.documentNumber} ${version.version}.`, false);
+        } else {
+            const failures = [];
+            for (const [index, option] of options.entries()) {
+                setStatus(`Saving ${doc.documentNumber} ${version.version} for offline use (${index + 1} of ${options.length})...`, false);
+                try {
+                    const data = await fetchAsset(option.downloadUrl);
+                    await cache.put(getOfflineUrl(option.downloadUrl), new Response(data));
+                } catch (error) {
+                    failures.push(option.name || option.type);
+                }
+            }
+
+            setStatus(
+                failures.length
+                    ? `Some assets could not be saved for offline use: ${failures.join(", ")}.`
+                    : `${doc.documentNumber} ${version.version} is available offline.`,
+                Boolean(failures.length)
+            );
+        }
+
+        await refreshOfflineAssets();
+    } catch (error) {
+        console.warn("Unable to update the offline asset cache", error);
+        setStatus("This browser does not allow assets to be stored for offline use.", true);
+    } finally {
+        toggleSpinner(false);
+        button.disabled = false;
+        updateOfflineControls();
+    }
+}
+
+function updateOfflineControls() {
+    if (!elements.detailView) {
+        return;
+    }
+
+    elements.detailView.querySelectorAll(".download-button[data-url]").forEach((link) => {
+        const url = link.dataset.url;
+        link.href = isAvailableOffline(url) ? getOfflineUrl(url) : rewriteDownloadUrl(url);
+        link.classList.toggle("download-button--offline", isAvailableOffline(url));
+    });
+
+    const doc = state.documentMap.get(elements.detailView.dataset.document);
+    elements.detailView.querySelectorAll(".version-card__offline").forEach((button) => {
+        const version = doc && findRouteVersion(doc, button.dataset.version);
+        const options = version ? getOfflineOptions(version) : [];
+        const isOffline = options.length && options.every((option) => isAvailableOffline(option.downloadUrl));
+        button.setAttribute("aria-pressed", String(Boolean(isOffline)));
+        button.textContent = isOffline ? "✓ Available offline" : "Make available offline";
+        button.title = isOffline ? "Remove the offline copy" : `Cache ${options.map((option) => option.type).join(", ")} for offline use`;
+    });
+}
+
+function loadSpecification(url) {
+    if (!state.specCache.has(url)) {
+        const request = fetchSpecification(url).catch((error) => {
+            state.specCache.delete(url);
+            throw error;
+        });
+        state.specCache.set(url, request);
+    }
+
+    return state.specCache.get(url);
+}
+
+async function fetchSpecification(url) {
+    let lastError = null;
+
+    for (const source of getSpecSources(url)) {
+        const startedAt = performance.now();
+        let status = 0;
+        try {
+            const response = await fetch(source, { mode: "cors" });
+            status = response.status;
+            if (!response.ok) {
+                throw new Error(`Request failed with ${response.status}`);
+            }
+
+            const body = await response.text();
+            const spec = parseSpecText(body);
+            recordDiagnostic("Specification", source, startedAt, status);
+            return { spec, source };
+        } catch (error) {
+            lastError = error;
+            recordDiagnostic("Specification", source, startedAt, status, error);
+        }
+    }
+
+    throw lastError || new Error("Unable to reach the specification.");
+}
+
+function getSpecSources(url) {
+    const sources = [];
+    const mirrorUrl = getMirrorUrl(url);
+    if (mirrorUrl) {
+        sources.push(mirrorUrl);
+    }
+
+    const downloadUrl = rewriteDownloadUrl(url);
+    sources.push(downloadUrl);
+
+    const { assetProxy } = state.settings;
+    if (assetProxy) {
+        sources.push(assetProxy.includes("{url}")
+            ? assetProxy.replace("{url}", encodeURIComponent(downloadUrl))
+            : `${assetProxy}${encodeURIComponent(downloadUrl)}`);
+    }
+    return sources;
+}
+
+function getMirrorUrl(url) {
+    try {
+        return `${MIRROR_BASE}${new URL(url).pathname}`;
+    } catch (error) {
+        return "";
+    }
+}
+
+function parseSpecText(text = "") {
+    const trimmed = text.replace(/^\uFEFF/, "").trim();
+    const spec = trimmed.startsWith("{") ? JSON.parse(trimmed) : parseYaml(trimmed);
+
+    if (!spec || typeof spec !== "object" || Array.isArray(spec)) {
+        throw new Error("The specification is not a JSON or YAML object.");
+    }
+
+    return spec;
+}
+
+function buildSpecModel(spec) {
+    const isOpenApi = String(spec?.openapi || "").startsWith("3");
+    const isSwagger = String(spec?.swagger || "").startsWith("2");
+    if (!isOpenApi && !isSwagger) {
+        throw new Error("Unsupported specification format. Expected Swagger 2.0 or OpenAPI 3.x.");
+    }
+
+    const resources = new Map();
+    const operations = [];
+
+    Object.entries(spec.paths || {}).forEach(([path, pathItem]) => {
+        const sharedParameters = pathItem?.parameters || [];
+
+        HTTP_METHODS.forEach((method) => {
+            const operation = pathItem?.[method];
+            if (!operation) {
+                return;
+            }
+
+            const parameters = [];
+            let requestBody = null;
+
+            mergeSpecParameters(spec, sharedParameters, operation.parameters || []).forEach((parameter) => {
+                if (parameter.in === "body") {
+                    requestBody = {
+                        description: parameter.description || "",
+                        required: Boolean(parameter.required),
+                        schema: parameter.schema || null
+                    };
+                    return;
+                }
+
+                parameters.push({
+                    name: parameter.name || "",
+                    in: parameter.in || "",
+                    required: Boolean(parameter.required),
+                    description: parameter.description || "",
+                    schema: parameter.schema || parameter
+                });
+            });
+
+            if (operation.requestBody) {
+                const body = resolveSpecRef(spec, operation.requestBody);
+                requestBody = {
+                    description: body?.description || "",
+                    required: Boolean(body?.required),
+                    schema: getContentSchema(body?.content)
+                };
+            }
+
+            const responses = Object.entries(operation.responses || {}).map(([code, response]) => {
+                const resolved = resolveSpecRef(spec, response);
+                return {
+                    code,
+                    description: resolved?.description || "",
+                    schema: isOpenApi ? getContentSchema(resolved?.content) : resolved?.schema || null
+                };
+            });
+
+            const resourceName = operation.tags?.[0] || path.split("/").filter(Boolean)[0] || "default";
+            const entry = {
+                method,
+                path,
+                resource: resourceName,
+                summary: operation.summary || "",
+                description: operation.description || "",
+                operationId: operation.operationId || "",
+                deprecated: Boolean(operation.deprecated),
+                parameters,
+                requestBody,
+                responses
+            };
+
+            if (!resources.has(resourceName)) {
+                resources.set(resourceName, []);
+            }
+            resources.get(resourceName).push(entry);
+            operations.push(entry);
+        });
+    });
+
+    const schemas = (isOpenApi ? spec.components?.schemas : spec.definitions) || {};
+    const serverUrl = isOpenApi
+        ? spec.servers?.[0]?.url || ""
+        : spec.host ? `${spec.schemes?.[0] || "https"}://${spec.host}${spec.basePath || ""}` : spec.basePath || "";
+
+    return {
+        format: isOpenApi ? `OpenAPI ${spec.openapi}` : `Swagger ${spec.swagger}`,
+        title: spec.info?.title || "Untitled API",
+        version: spec.info?.version || "",
+        description: spec.info?.description || "",
+        serverUrl,
+        pathCount: Object.keys(spec.paths || {}).length,
+        resources: Array.from(resources.entries())
+            .sort(([a], [b]) => compareStrings(a, b))
+            .map(([name, items]) => ({ name, operations: items })),
+        operations,
+        schemas
+    };
+}
+
+function mergeSpecParameters(spec, shared, own) {
+    const merged = new Map();
+    [...shared, ...own].forEach((parameter) => {
+        const resolved = resolveSpecRef(spec, parameter);
+        if (resolved) {
+            merged.set(`${resolved.in}:${resolved.name}`, resolved);
+        }
+    });
+    return Array.from(merged.values());
+}
+
+function resolveSpecRef(spec, value, depth = 0) {
+    if (!value || typeof value !== "object" || typeof value.$ref !== "string" || !value.$ref.startsWith("#/") || depth > 10) {
+        return value;
+    }
+
+    const target = value.$ref
+        .slice(2)
+        .split("/")
+        .map((segment) => decodeURIComponent(segment.replace(/~1/g, "/").replace(/~0/g, "~")))
+        .reduce((node, segment) => (node && typeof node === "object" ? node[segment] : undefined), spec);
+
+    return resolveSpecRef(spec, target, depth + 1);
+}
+
+function getContentSchema(content) {
+    if (!content || typeof content !== "object") {
+        return null;
+    }
+
+    const mediaTypes = Object.keys(content);
+    const preferred = mediaTypes.find((type) => /json/i.test(type)) || mediaTypes[0];
+    return preferred ? content[preferred]?.schema || null : null;
+}
+
+function getRefName(ref = "") {
+    return ref.split("/").pop() || ref;
+}
+
+function isLocalSchemaRef(ref = "") {
+    return ref.startsWith("#/definitions/") || ref.startsWith("#/components/schemas/");
+}
+
+function createSpecExplorer(model, source) {
+    const explorer = document.createElement("section");
+    explorer.className = "spec-explorer";
+    explorer.setAttribute("aria-label", `${model.title} specification`);
+
+    const header = document.createElement("header");
+    header.className = "spec-explorer__header";
+
+    const title = document.createElement("h5");
+    title.className = "spec-explorer__title";
+    title.textContent = model.version ? `${model.title} ${model.version}` : model.title;
+    header.appendChild(title);
+
+    const summary = document.createElement("div");
+    summary.className = "version-card__meta";
+    appendMetaText(summary, "Format", model.format);
+    appendMetaText(summary, "Base URL", model.serverUrl);
+    appendMetaText(summary, "Paths", String(model.pathCount));
+    appendMetaText(summary, "Operations", String(model.operations.length));
+    appendMetaText(summary, "Schemas", String(Object.keys(model.schemas).length));
+    appendMetaText(summary, "Loaded from", source);
+    header.appendChild(summary);
+    explorer.appendChild(header);
+
+    const context = { root: explorer, schemas: model.schemas, model };
+
+    const resourcesSection = document.createElement("section");
+    resourcesSection.className = "spec-explorer__section";
+    const resourcesTitle = document.createElement("h5");
+    resourcesTitle.textContent = "Resources and operations";
+    resourcesSection.appendChild(resourcesTitle);
+
+    if (!model.resources.length) {
+        resourcesSection.appendChild(createSpecEmpty("This specification does not declare any operations."));
+    }
+
+    model.resources.forEach((resource) => {
+        const group = document.createElement("div");
+        group.className = "spec-resource";
+
+        const groupTitle = document.createElement("h6");
+        groupTitle.className = "spec-resource__title";
+        groupTitle.textContent = resource.name;
+        group.appendChild(groupTitle);
+
+        resource.operations.forEach((operation) => group.appendChild(createSpecOperation(operation, context)));
+        resourcesSection.appendChild(group);
+    });
+
+    explorer.appendChild(resourcesSection);
+
+    const schemaSection = document.createElement("section");
+    schemaSection.className = "spec-explorer__section";
+    const schemaTitle = document.createElement("h5");
+    schemaTitle.textContent = "Schema definitions";
+    schemaSection.appendChild(schemaTitle);
+
+    const schemaNames = Object.keys(model.schemas).sort((a, b) => compareStrings(a, b));
+    if (!schemaNames.length) {
+        schemaSection.appendChild(createSpecEmpty("This specification does not declare any schemas."));
+    }
+
+    schemaNames.forEach((name) => schemaSection.appendChild(createSpecSchema(name, model.schemas[name], context)));
+    explorer.appendChild(schemaSection);
+
+    return explorer;
+}
+
+function createSpecOperation(operation, context) {
+    const details = document.createElement("details");
+    details.className = "spec-operation";
+
+    const summary = document.createElement("summary");
+    const method = document.createElement("span");
+    method.className = `spec-method spec-method--${operation.method}`;
+    method.textContent = operation.method.toUpperCase();
+
+    const path = document.createElement("code");
+    path.className = "spec-operation__path";
+    path.textContent = operation.path;
+
+    summary.append(method, path);
+
+    if (operation.summary) {
+        const text = document.createElement("span");
+        text.className = "spec-operation__summary";
+        text.textContent = operation.summary;
+        summary.appendChild(text);
+    }
+
+    if (operation.deprecated) {
+        summary.appendChild(createBadge("Deprecated"));
+    }
+
+    details.appendChild(summary);
+
+    const body = document.createElement("div");
+    body.className = "spec-operation__body";
+
+    if (operation.description) {
+        const description = document.createElement("p");
+        description.className = "spec-explorer__description";
+        description.textContent = operation.description;
+        body.appendChild(description);
+    }
+
+    if (operation.operationId) {
+        const meta = document.createElement("div");
+        meta.className = "version-card__meta";
+        appendMetaText(meta, "Operation ID", operation.operationId);
+        body.appendChild(meta);
+    }
+
+    if (operation.parameters.length) {
+        body.appendChild(createSpecTable(
+            "Parameters",
+            ["Name", "In", "Type", "Required", "Description"],
+            operation.parameters.map((parameter) => [
+                parameter.name,
+                parameter.in,
+                createSchemaType(parameter.schema, context),
+                parameter.required ? "Yes" : "No",
+                parameter.description
+            ])
+        ));
+    }
+
+    if (operation.requestBody) {
+        body.appendChild(createSpecTable(
+            "Request body",
+            ["Type", "Required", "Description"],
+            [[
+                createSchemaType(operation.requestBody.schema, context),
+                operation.requestBody.required ? "Yes" : "No",
+                operation.requestBody.description
+            ]]
+        ));
+    }
+
+    if (operation.responses.length) {
+        body.appendChild(createSpecTable(
+            "Responses",
+            ["Code", "Type", "Description"],
+            operation.responses.map((response) => [
+                response.code,
+                response.schema ? createSchemaType(response.schema, context) : "",
+                response.description
+            ])
+        ));
+    }
+
+    body.appendChild(createRequestConsole(operation, context));
+    details.appendChild(body);
+    return details;
+}
+
+function createRequestConsole(operation, context) {
+    const form = document.createElement("form");
+    form.className = "request-console";
+    form.noValidate = true;
+
+    const heading = document.createElement("h6");
+    heading.className = "request-console__title";
+    heading.textContent = "Try it";
+
+    const controls = document.createElement("div");
+    controls.className = "version-compare__controls";
+
+    const modeLabel = document.createElement("label");
+    modeLabel.className = "version-compare__field";
+    modeLabel.textContent = "Target";
+    const mode = document.createElement("select");
+    [
+        ["mock", "Mock responses (no backend)"],
+        ["live", "Live server"]
+    ].forEach(([value, text]) => {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = text;
+        mode.appendChild(option);
+    });
+    mode.value = state.console.mode;
+    modeLabel.appendChild(mode);
+
+    const baseLabel = document.createElement("label");
+    baseLabel.className = "request-console__field request-console__field--wide";
+    baseLabel.textContent = "Base URL";
+    const baseUrl = document.createElement("input");
+    baseUrl.type = "url";
+    baseUrl.placeholder = "https://host/tmf-api/...";
+    baseUrl.value = state.console.baseUrls.get(context.model.title) || context.model.serverUrl;
+    baseUrl.addEventListener("change", () => state.console.baseUrls.set(context.model.title, baseUrl.value.trim()));
+    baseLabel.appendChild(baseUrl);
+
+    const syncMode = () => {
+        state.console.mode = mode.value;
+        baseLabel.hidden = mode.value !== "live";
+    };
+    mode.addEventListener("change", syncMode);
+    syncMode();
+    controls.append(modeLabel, baseLabel);
+
+    const fields = document.createElement("div");
+    fields.className = "request-console__fields";
+    const inputs = operation.parameters
+        .filter((parameter) => ["path", "query", "header"].includes(parameter.in))
+        .map((parameter) => {
+            const label = document.createElement("label");
+            label.className = "request-console__field";
+            label.textContent = `${parameter.name} (${parameter.in}${parameter.required ? ", required" : ""})`;
+            label.title = parameter.description;
+
+            const schema = resolveSchemaRef(parameter.schema, context.schemas);
+            let input;
+            if (Array.isArray(schema?.enum)) {
+                input = document.createElement("select");
+                ["", ...schema.enum].forEach((value) => {
+                    const option = document.createElement("option");
+                    option.value = String(value);
+                    option.textContent = value === "" ? "(not set)" : String(value);
+                    input.appendChild(option);
+                });
+            } else {
+                input = document.createElement("input");
+                input.type = "text";
+                const example = createSchemaExample(parameter.schema, context.schemas);
+                input.placeholder = example === null || typeof example === "object" ? schema?.type || "" : String(example);
+            }
+            input.required = parameter.required;
+            label.appendChild(input);
+            fields.appendChild(label);
+            return { parameter, input };
+        });
+
+    let bodyInput = null;
+    if (operation.requestBody) {
+        const bodyLabel = document.createElement("label");
+        bodyLabel.className = "request-console__field request-console__field--wide";
+        bodyLabel.textContent = "Request body (JSON)";
+        bodyInput = document.createElement("textarea");
+        bodyInput.rows = 8;
+        bodyInput.spellcheck = false;
+        bodyInput.value = JSON.stringify(createSchemaExample(operation.requestBody.schema, context.schemas), null, 2);
+        bodyLabel.appendChild(bodyInput);
+        fields.appendChild(bodyLabel);
+    }
+
+    const send = document.createElement("button");
+    send.type = "submit";
+    send.className = "pager";
+    send.textContent = "Send request";
+
+    const output = document.createElement("div");
+    output.className = "request-console__response";
+    output.hidden = true;
+
+    form.addEventListener("submit", async (event) => {
+        event.preventDefault();
+        send.disabled = true;
+        await sendConsoleRequest(operation, context, {
+            mode: mode.value,
+            baseUrl: baseUrl.value.trim(),
+            values: inputs.map(({ parameter, input }) => ({ parameter, value: input.value.trim() })),
+            body: bodyInput?.value.trim() || ""
+        }, output);
+        send.disabled = false;
+    });
+
+    form.append(heading, controls);
+    if (fields.childElementCount) {
+        form.appendChild(fields);
+    }
+    form.append(send, output);
+    return form;
+}
+
+async function sendConsoleRequest(operation, context, request, output) {
+    output.hidden = false;
+    output.innerHTML = "";
+
+    const status = document.createElement("p");
+    status.className = "spec-explorer__status";
+    output.appendChild(status);
+
+    let url;
+    let init;
+    try {
+        const baseUrl = request.mode === "mock" ? await ensureMockApi(context.model) : request.baseUrl;
+        ({ url, init } = buildConsoleRequest(operation, baseUrl, request.values, request.body));
+    } catch (error) {
+        status.textContent = error.message;
+        status.classList.add("spec-explorer__status--error");
+        return;
+    }
+
+    status.textContent = `${operation.method.toUpperCase()} ${url}`;
+    const startedAt = performance.now();
+    let responseStatus = 0;
+
+    try {
+        const response = await fetch(url, init);
+        responseStatus = response.status;
+        const text = await response.text();
+        const isMock = response.headers.get(MOCK_HEADER) === "true";
+        if (!isMock) {
+            recordDiagnostic("Try it", url, startedAt, responseStatus);
+        }
+
+        const meta = document.createElement("div");
+        meta.className = "version-card__meta";
+        appendMetaText(meta, "Status", `${response.status} ${response.statusText}`.trim());
+        appendMetaText(meta, "Time", `${Math.round(performance.now() - startedAt)} ms`);
+        appendMetaText(meta, "Content type", response.headers.get("Content-Type") || "");
+        if (isMock) {
+            meta.appendChild(createBadge("Mock"));
+        }
+
+        const body = document.createElement("pre");
+        body.className = "request-console__body";
+        try {
+            body.textContent = text ? JSON.stringify(JSON.parse(text), null, 2) : "(empty body)";
+        } catch (error) {
+            body.textContent = text;
+        }
+        output.append(meta, body);
+    } catch (error) {
+        recordDiagnostic("Try it", url, startedAt, responseStatus, error);
+        status.textContent = `${operation.method.toUpperCase()} ${url} failed: ${error.message}. Live servers must allow cross-origin requests from this page.`;
+        status.classList.add("spec-explorer__status--error");
+    }
+}
+
+function buildConsoleRequest(operation, baseUrl, values, body) {
+    if (!baseUrl) {
+        throw new Error("Enter the base URL of the server to call.");
+    }
+
+    const missing = values.find(({ parameter, value }) => parameter.required && !value);
+    if (missing) {
+        throw new Error(`Fill in the required ${missing.parameter.in} parameter "${missing.parameter.name}".`);
+    }
+
+    const path = operation.path.replace(/\{([^}]+)\}/g, (match, name) => {
+        const entry = values.find(({ parameter }) => parameter.in === "path" && parameter.name === name);
+        return encodeURIComponent(entry?.value || "");
+    });
+    const query = new URLSearchParams(values
+        .filter(({ parameter, value }) => parameter.in === "query" && value)
+        .map(({ parameter, value }) => [parameter.name, value]));
+    const headers = Object.fromEntries(values
+        .filter(({ parameter, value }) => parameter.in === "header" && value)
+        .map(({ parameter, value }) => [parameter.name, value]));
+
+    const init = { method: operation.method.toUpperCase(), headers: { Accept: "application/json", ...headers } };
+    if (operation.requestBody && body) {
+        try {
+            JSON.parse(body);
+        } catch (error) {
+            throw new Error(`The request body is not valid JSON: ${error.message}`);
+        }
+        init.headers["Content-Type"] = "application/json";
+        init.body = body;
+    }
+
+    const queryString = query.toString();
+    return { url: `${baseUrl.replace(/\/+$/, "")}${path}${queryString ? `?${queryString}` : ""}`, init };
+}
+
+async function ensureMockApi(model) {
+    if (!navigator.serviceWorker?.controller || typeof caches === "undefined") {
+        throw new Error("Mock mode is served by the offline service worker, which is not active yet. Reload the page once it has installed.");
+    }
+
+    const id = createSlug(`${model.title} ${model.version}`);
+    if (!state.console.mocks.has(id)) {
+        const cache = await caches.open(MOCK_CACHE);
+        await cache.put(
+            new URL(`./mock-routes/${id}.json`, window.location.href).href,
+            new Response(JSON.stringify(getMockRoutes(model)), { headers: { "Content-Type": "application/json" } })
+        );
+        state.console.mocks.add(id);
+    }
+
+    return new URL(`./mock/${id}`, window.location.href).href;
+}
+
+function getMockRoutes(model) {
+    return model.operations.map((operation) => {
+        const response = operation.responses.find((candidate) => /^2\d\d$/.test(candidate.code))
+            || operation.responses.find((candidate) => candidate.code === "default");
+        const status = Number(response?.code) || 200;
+        return {
+            method: operation.method,
+            path: operation.path,
+            status,
+            body: status === 204 || !response?.schema ? undefined : createSchemaExample(response.schema, model.schemas)
+        };
+    });
+}
+
+function resolveSchemaRef(schema, schemas, depth = 0) {
+    if (schema && typeof schema.$ref === "string" && isLocalSchemaRef(schema.$ref) && depth < 10) {
+        return resolveSchemaRef(schemas[getRefName(schema.$ref)], schemas, depth + 1);
+    }
+    return schema;
+}
+
+function createSchemaExample(schema, schemas, level = 0, name = "", trail = new Set()) {
+    if (!schema || typeof schema !== "object") {
+        return null;
+    }
+
+    if (typeof schema.$ref === "string") {
+        const refName = getRefName(schema.$ref);
+        if (!isLocalSchemaRef(schema.$ref) || !schemas[refName] || trail.has(refName)) {
+            return {};
+        }
+        return createSchemaExample(schemas[refName], schemas, level, name || refName, new Set(trail).add(refName));
+    }
+
+    if (schema.example !== undefined) {
+        return schema.example;
+    }
+    if (schema.default !== undefined) {
+        return schema.default;
+    }
+    if (Array.isArray(schema.enum) && schema.enum.length) {
+        return schema.enum[0];
+    }
+
+    if (Array.isArray(schema.allOf)) {
+        return schema.allOf.reduce((result, part) => {
+            const value = createSchemaExample(part, schemas, level, name, trail);
+            return value && typeof value === "object" && !Array.isArray(value) ? { ...result, ...value } : result;
+        }, {});
+    }
+
+    const choice = schema.oneOf?.[0] || schema.anyOf?.[0];
+    if (choice) {
+        return createSchemaExample(choice, schemas, level, "", trail);
+    }
+
+    if (schema.type === "array" || schema.items) {
+        return [createSchemaExample(schema.items, schemas, level, "", trail)];
+    }
+
+    if (schema.type === "object" || schema.properties) {
+        if (level >= 2) {
+            return {};
+        }
+        return Object.fromEntries(Object.entries(schema.properties || {}).map(([key, property]) => [
+            key,
+            key === "@type" && name ? name.replace(/_[FM]VO$/, "") : createSchemaExample(property, schemas, level + 1, "", trail)
+        ]));
+    }
+
+    switch (schema.type) {
+        case "integer":
+        case "number":
+            return schema.minimum ?? 0;
+        case "boolean":
+            return true;
+        case "string":
+            return {
+                "date-time": "2024-01-01T00:00:00Z",
+                date: "2024-01-01",
+                uri: "https://example.com/resource/1",
+                email: "user@example.com"
+            }[schema.format] || "string";
+        default:
+            return null;
+    }
+}
+
+function createSpecSchema(name, schema, context) {
+    const details = document.createElement("details");
+    details.className = "spec-schema";
+    details.dataset.schema = name;
+
+    const summary = document.createElement("summary");
+    const title = document.createElement("code");
+    title.textContent = name;
+    summary.appendChild(title);
+    details.appendChild(summary);
+
+    const body = document.createElement("div");
+    body.className = "spec-schema__body";
+
+    if (schema?.description) {
+        const description = document.createElement("p");
+        description.className = "spec-explorer__description";
+        description.textContent = schema.description;
+        body.appendChild(description);
+    }
+
+    const parents = (schema?.allOf || []).filter((part) => part?.$ref);
+    if (parents.length) {
+        const extendsLine = document.createElement("p");
+        extendsLine.className = "spec-schema__extends";
+        extendsLine.append("Extends ");
+        parents.forEach((part, index) => {
+            if (index) {
+                extendsLine.append(", ");
+            }
+            extendsLine.appendChild(createSchemaType(part, context));
+        });
+        body.appendChild(extendsLine);
+    }
+
+    if (schema?.discriminator) {
+        const meta = document.createElement("div");
+        meta.className = "version-card__meta";
+        appendMetaText(meta, "Discriminator", typeof schema.discriminator === "string" ? schema.discriminator : schema.discriminator.propertyName);
+        body.appendChild(meta);
+    }
+
+    if (Array.isArray(schema?.enum)) {
+        const meta = document.createElement("div");
+        meta.className = "version-card__meta";
+        appendMetaText(meta, "Enum", schema.enum.join(", "));
+        body.appendChild(meta);
+    }
+
+    const required = new Set(schema?.required || []);
+    const properties = { ...(schema?.properties || {}) };
+    (schema?.allOf || []).forEach((part) => {
+        if (part && !part.$ref) {
+            Object.assign(properties, part.properties || {});
+            (part.required || []).forEach((field) => required.add(field));
+        }
+    });
+
+    const rows = Object.entries(properties).map(([propertyName, property]) => [
+        propertyName,
+        createSchemaType(property, context),
+        required.has(propertyName) ? "Yes" : "No",
+        property?.description || ""
+    ]);
+
+    if (rows.length) {
+        body.appendChild(createSpecTable("Properties", ["Name", "Type", "Required", "Description"], rows));
+    } else if (!parents.length && !schema?.enum) {
+        body.appendChild(createSchemaType(schema, context));
+    }
+
+    details.appendChild(body);
+    return details;
+}
+
+function createSpecTable(caption, headings, rows) {
+    const table = document.createElement("table");
+    table.className = "spec-table";
+
+    const captionElement = document.createElement("caption");
+    captionElement.textContent = caption;
+    table.appendChild(captionElement);
+
+    const head = document.createElement("thead");
+    const headRow = document.createElement("tr");
+    headings.forEach((heading) => {
+        const cell = document.createElement("th");
+        cell.scope = "col";
+        cell.textContent = heading;
+        headRow.appendChild(cell);
+    });
+    head.appendChild(headRow);
+    table.appendChild(head);
+
+    const body = document.createElement("tbody");
+    rows.forEach((row) => {
+        const tableRow = document.createElement("tr");
+        row.forEach((value) => {
+            const cell = document.createElement("td");
+            cell.append(value || "");
+            tableRow.appendChild(cell);
+        });
+        body.appendChild(tableRow);
+    });
+    table.appendChild(body);
+
+    return table;
+}
+
+function createSpecEmpty(message) {
+    const empty = document.createElement("p");
+    empty.className = "spec-explorer__status";
+    empty.textContent = message;
+    return empty;
+}
+
+function createSchemaType(schema, context) {
+    const wrapper = document.createElement("span");
+    wrapper.className = "schema-type";
+    appendSchemaType(wrapper, schema, context, 0);
+    return wrapper;
+}
+
+function appendSchemaType(container, schema, context, depth) {
+    if (!schema || typeof schema !== "object" || depth > 6) {
+        container.append("any");
+        return;
+    }
+
+    if (schema.$ref) {
+        const name = getRefName(schema.$ref);
+        if (isLocalSchemaRef(schema.$ref) && context.schemas[name]) {
+            const link = document.createElement("button");
+            link.type = "button";
+            link.className = "schema-link";
+            link.textContent = name;
+            link.addEventListener("click", () => focusSpecSchema(context.root, name));
+            container.appendChild(link);
+        } else {
+            container.append(schema.$ref.startsWith("#") ? name : schema.$ref);
+        }
+        return;
+    }
+
+    if (schema.type === "array") {
+        container.append("array<");
+        appendSchemaType(container, schema.items, context, depth + 1);
+        container.append(">");
+        return;
+    }
+
+    const composite = schema.allOf || schema.oneOf || schema.anyOf;
+    if (Array.isArray(composite) && composite.length) {
+        const joiner = schema.allOf ? " & " : " | ";
+        composite.forEach((part, index) => {
+            if (index) {
+                container.append(joiner);
+            }
+            appendSchemaType(container, part, context, depth + 1);
+        });
+        return;
+    }
+
+    let label = schema.type || (schema.properties ? "object" : "any");
+    if (schema.format) {
+        label += ` (${schema.format})`;
+    }
+    if (Array.isArray(schema.enum)) {
+        label += ` [${schema.enum.join(", ")}]`;
+    }
+    container.append(label);
+}
+
+function focusSpecSchema(root, name) {
+    const target = Array.from(root.querySelectorAll(".spec-schema")).find((item) => item.dataset.schema === name);
+    if (!target) {
+        return;
+    }
+
+    root.querySelectorAll(".spec-schema--highlight").forEach((item) => item.classList.remove("spec-schema--highlight"));
+    target.open = true;
+    target.classList.add("spec-schema--highlight");
+    target.scrollIntoView({ behavior: "smooth", block: "start" });
+    target.querySelector("summary")?.focus();
+}
+
+function getTypeRefName(ref, schemas) {
+    const name = decodeURIComponent(getRefName(ref).replace(/~1/g, "/").replace(/~0/g, "~")).replace(/\.(json|ya?ml)$/i, "");
+    return Object.prototype.hasOwnProperty.call(schemas, name) ? name : "";
+}
+
+function getDiscriminatedTypes(schemas) {
+    const families = [];
+
+    Object.entries(schemas).forEach(([name, schema]) => {
+        const discriminator = schema?.discriminator;
+        const property = typeof discriminator === "string" ? discriminator : discriminator?.propertyName;
+        if (!property) {
+            return;
+        }
+
+        const variants = discriminator.mapping
+            ? Object.entries(discriminator.mapping)
+                .map(([value, ref]) => [value, getTypeRefName(String(ref), schemas)])
+                .filter(([, target]) => target)
+            : Object.entries(schemas)
+                .filter(([candidate, candidateSchema]) => candidate === name
+                    || (candidateSchema?.allOf || []).some((part) => part?.$ref && getTypeRefName(part.$ref, schemas) === name))
+                .map(([candidate]) => [candidate, candidate]);
+
+        if (variants.length > 1) {
+            const alias = schemas[`Any${name}`] ? `Any${name}Union` : `Any${name}`;
+            families.push({ name, alias, property, variants: variants.sort(([a], [b]) => compareStrings(a, b)) });
+        }
+    });
+
+    return families;
+}
+
+function toTypeScriptDefinitions(schemas, source) {
+    const names = Object.keys(schemas).sort(compareStrings);
+    const typeName = (name) => name.replace(/[^\w$]/g, "_").replace(/^(\d)/, "_$1");
+    const propertyName = (name) => (/^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name));
+    const comment = (text, indent) => {
+        const lines = String(text || "").trim().replace(/\*\//g, "*\\/").split(/\r?\n/);
+        if (!lines[0]) {
+            return "";
+        }
+        return lines.length === 1
+            ? `${indent}/** ${lines[0]} */\n`
+            : `${indent}/**\n${lines.map((line) => `${indent} * ${line}`.trimEnd()).join("\n")}\n${indent} */\n`;
+    };
+    const isObjectSchema = (schema) => Boolean(schema && (schema.type === "object" || schema.properties) && !schema.oneOf && !schema.anyOf && !schema.enum);
+    const isInterface = (name, trail = new Set()) => {
+        const schema = schemas[name];
+        if (trail.has(name) || !schema || typeof schema !== "object") {
+            return false;
+        }
+        if (schema.allOf) {
+            return !schema.oneOf && !schema.anyOf && schema.allOf.every((part) => (part?.$ref
+                ? isInterface(getTypeRefName(part.$ref, schemas), new Set(trail).add(name))
+                : isObjectSchema(part)));
+        }
+        return isObjectSchema(schema);
+    };
+
+    const toType = (schema, indent) => {
+        if (!schema || typeof schema !== "object") {
+            return "unknown";
+        }
+        if (typeof schema.$ref === "string") {
+            const target = getTypeRefName(schema.$ref, schemas);
+            return target ? typeName(target) : `unknown /* ${schema.$ref.replace(/\*\//g, "*\\/")} */`;
+        }
+
+        const nullable = schema.nullable === true || (Array.isArray(schema.type) && schema.type.includes("null"));
+        const withNull = (type) => (nullable ? `${type} | null` : type);
+        const group = (type) => (/[|&]/.test(type) ? `(${type})` : type);
+
+        if (Array.isArray(schema.enum) && schema.enum.length) {
+            return withNull(schema.enum.map((value) => JSON.stringify(value)).join(" | "));
+        }
+        if (schema.const !== undefined) {
+            return withNull(JSON.stringify(schema.const));
+        }
+        if (schema.oneOf || schema.anyOf) {
+            return withNull((schema.oneOf || schema.anyOf).map((part) => group(toType(part, indent))).join(" | "));
+        }
+        if (schema.allOf) {
+            return withNull(schema.allOf.map((part) => group(toType(part, indent))).join(" & "));
+        }
+
+        const type = Array.isArray(schema.type) ? schema.type.find((value) => value !== "null") : schema.type;
+        switch (type) {
+            case "string":
+                return withNull("string");
+            case "integer":
+            case "number":
+                return withNull("number");
+            case "boolean":
+                return withNull("boolean");
+            case "array":
+                return withNull(`${group(toType(schema.items, indent))}[]`);
+            default:
+                if (schema.properties || schema.additionalProperties || type === "object") {
+                    return withNull(`{\n${toMembers(schema, `${indent}    `)}${indent}}`);
+                }
+                return "unknown";
+        }
+    };
+
+    const toMembers = (schema, indent, required = new Set(schema.required || [])) => {
+        const lines = Object.entries(schema.properties || {}).map(([name, property]) => {
+            const readOnly = property?.readOnly ? "readonly " : "";
+            return `${comment(property?.description, indent)}${indent}${readOnly}${propertyName(name)}${required.has(name) ? "" : "?"}: ${toType(property, indent)};\n`;
+        });
+        if (schema.additionalProperties) {
+            const value = schema.additionalProperties === true ? "unknown" : toType(schema.additionalProperties, indent);
+            lines.push(`${indent}[key: string]: ${value};\n`);
+        }
+        return lines.join("");
+    };
+
+    const declaresProperty = (name, property, trail = new Set()) => {
+        const schema = schemas[name];
+        if (trail.has(name) || !schema || typeof schema !== "object") {
+            return false;
+        }
+        return [schema, ...(schema.allOf || [])].some((part) => (part?.$ref
+            ? declaresProperty(getTypeRefName(part.$ref, schemas), property, new Set(trail).add(name))
+            : Object.prototype.hasOwnProperty.call(part?.properties || {}, property)));
+    };
+
+    const declarations = names.map((name) => {
+        const schema = schemas[name] || {};
+        const prefix = `${comment(schema.description, "")}export `;
+
+        if (!isInterface(name)) {
+            return `${prefix}type ${typeName(name)} = ${toType(schema, "")};\n`;
+        }
+
+        const parents = [];
+        const ownParts = [];
+        (schema.allOf || [schema]).forEach((part) => {
+            if (part.$ref) {
+                parents.push(getTypeRefName(part.$ref, schemas));
+            } else {
+                ownParts.push(part);
+            }
+        });
+        if (schema.allOf && (schema.properties || schema.required)) {
+            ownParts.push(schema);
+        }
+
+        const required = new Set(ownParts.flatMap((part) => part.required || []));
+        const ownProperties = new Set(ownParts.flatMap((part) => Object.keys(part.properties || {})));
+        let members = ownParts.map((part) => toMembers(part, "    ", required)).join("");
+        required.forEach((property) => {
+            if (ownProperties.has(property)) {
+                return;
+            }
+            const parent = parents.find((candidate) => declaresProperty(candidate, property));
+            const type = parent ? `Exclude<${typeName(parent)}[${JSON.stringify(property)}], undefined>` : "unknown";
+            members += `    ${propertyName(property)}: ${type};\n`;
+        });
+
+        const heritage = parents.length ? ` extends ${parents.map(typeName).join(", ")}` : "";
+        return `${prefix}interface ${typeName(name)}${heritage} {\n${members}}\n`;
+    });
+
+    getDiscriminatedTypes(schemas).forEach((family) => {
+        const variants = family.variants
+            .map(([value, target]) => `    | (${typeName(target)} & { ${propertyName(family.property)}: ${JSON.stringify(value)} })`)
+            .join("\n");
+        declarations.push(`/** Any ${family.name}, narrowed by its "${family.property}" discriminator. */\nexport type ${typeName(family.alias)} =\n${variants};\n`);
+    });
+
+    return `// Generated from ${source} by the TMF API Directory.\n\n${declarations.join("\n")}`;
+}
+
+function toJsonSchema(schema, refFor) {
+    if (Array.isArray(schema)) {
+        return schema.map((item) => toJsonSchema(item, refFor));
+    }
+    if (!schema || typeof schema !== "object") {
+        return schema;
+    }
+
+    const result = {};
+    Object.entries(schema).forEach(([key, value]) => {
+        if (key === "$ref" && typeof value === "string") {
+            const target = refFor(value);
+            if (target) {
+                result.$ref = target;
+            } else {
+                result.$comment = `Unresolved reference ${value}`;
+            }
+        } else if (["properties", "patternProperties", "definitions", "$defs"].includes(key) && value && typeof value === "object") {
+            result[key] = Object.fromEntries(Object.entries(value).map(([name, item]) => [name, toJsonSchema(item, refFor)]));
+        } else if (key === "example") {
+            result.examples = [value];
+        } else if (["enum", "const", "default", "examples", "required"].includes(key)) {
+            result[key] = value;
+        } else if (!["nullable", "discriminator", "xml", "externalDocs"].includes(key)) {
+            result[key] = toJsonSchema(value, refFor);
+        }
+    });
+
+    if (schema.nullable === true && typeof result.type === "string") {
+        result.type = [result.type, "null"];
+    }
+    return result;
+}
+
+function getDiscriminatedSchema(family, refFor) {
+    return {
+        description: `Any ${family.name}, narrowed by its "${family.property}" discriminator.`,
+        oneOf: family.variants.map(([value, target]) => ({
+            allOf: [
+                { $ref: refFor(`#/${target}`) },
+                { properties: { [family.property]: { const: value } }, required: [family.property] }
+            ]
+        }))
+    };
+}
+
+function toJsonSchemaBundle(schemas, source) {
+    const refFor = (ref) => {
+        const name = getTypeRefName(ref, schemas);
+        return name ? `#/$defs/${encodeURIComponent(name)}` : "";
+    };
+    const definitions = Object.fromEntries(Object.keys(schemas)
+        .sort(compareStrings)
+        .map((name) => [name, toJsonSchema(schemas[name], refFor)]));
+    getDiscriminatedTypes(schemas).forEach((family) => {
+        definitions[family.alias] = getDiscriminatedSchema(family, refFor);
+    });
+
+    return `${JSON.stringify({
+        $schema: "https://json-schema.org/draft/2020-12/schema",
+        $comment: `Generated from ${source} by the TMF API Directory.`,
+        $defs: definitions
+    }, null, 2)}\n`;
+}
+
+function toJsonSchemaFiles(schemas, source) {
+    const fileName = (name) => `${name.replace(/[^\w.-]/g, "_")}.schema.json`;
+    const refFor = (ref) => {
+        const name = getTypeRefName(ref, schemas);
+        return name ? fileName(name) : "";
+    };
+    const toFile = (name, schema) => ({
+        path: fileName(name),
+        content: `${JSON.stringify({
+            $schema: "https://json-schema.org/draft/2020-12/schema",
+            $id: fileName(name),
+            $comment: `Generated from ${source} by the TMF API Directory.`,
+            title: name,
+            ...schema
+        }, null, 2)}\n`
+    });
+
+    return [
+        ...Object.keys(schemas).sort(compareStrings).map((name) => toFile(name, toJsonSchema(schemas[name], refFor))),
+        ...getDiscriminatedTypes(schemas).map((family) => toFile(family.alias, getDiscriminatedSchema(family, refFor)))
+    ];
+}
+
+function loadCollections(url) {
+    if (!state.collectionCache.has(url)) {
+        const request = fetchAsset(url)
+            .then((bytes) => readCollections(bytes))
+            .catch((error) => {
+                state.collectionCache.delete(url);
+                throw error;
+            });
+        state.collectionCache.set(url, request);
+    }
+
+    return state.collectionCache.get(url);
+}
+
+async function readCollections(bytes) {
+    const decoder = new TextDecoder();
+    const files = [];
+
+    if (bytes[0] === 0x50 && bytes[1] === 0x4b) {
+        const entries = readZipEntries(bytes).filter((entry) => /\.(json|ya?ml)$/i.test(entry.name)
+            && !/(^|\/)__MACOSX\//.test(entry.name)
+            && !/environment/i.test(entry.name));
+        for (const entry of entries) {
+            files.push({ fileName: entry.name.split("/").pop(), text: decoder.decode(await readZipEntry(bytes, entry)) });
+        }
+    } else {
+        files.push({ fileName: "", text: decoder.decode(bytes) });
+    }
+
+    const collections = files
+        .map(({ fileName, text }) => {
+            try {
+                return { fileName, collection: parseSpecText(text) };
+            } catch (error) {
+                return null;
+            }
+        })
+        .filter((file) => file && isPostmanCollection(file.collection));
+
+    if (!collections.length) {
+        throw new Error("No Postman v2.x collection was found in the asset.");
+    }
+    return collections;
+}
+
+function isPostmanCollection(value) {
+    return Boolean(value?.info && Array.isArray(value.item)
+        && (!value.info.schema || /collection\/v2\.[01]/.test(value.info.schema)));
+}
+
+async function renderCollectionViewer(host, option) {
+    host.hidden = false;
+    host.innerHTML = "";
+
+    const status = document.createElement("p");
+    status.className = "spec-explorer__status";
+    status.textContent = `Loading ${option.name}...`;
+    host.appendChild(status);
+
+    try {
+        const collections = await loadCollections(option.downloadUrl);
+        if (host.dataset.source !== option.downloadUrl) {
+            return;
+        }
+
+        host.innerHTML = "";
+        const viewer = document.createElement("div");
+        if (collections.length > 1) {
+            const pickerLabel = document.createElement("label");
+            pickerLabel.className = "version-compare__field";
+            pickerLabel.textContent = "Collection";
+            const picker = document.createElement("select");
+            collections.forEach(({ fileName, collection }, index) => {
+                const item = document.createElement("option");
+                item.value = String(index);
+                item.textContent = `${collection.info.name || fileName} (${fileName})`;
+                picker.appendChild(item);
+            });
+            picker.addEventListener("change", () => {
+                const index = Number(picker.value);
+                viewer.replaceChildren(createCollectionViewer(collections[index].collection, `${option.downloadUrl}#${index}`));
+            });
+            pickerLabel.appendChild(picker);
+            host.appendChild(pickerLabel);
+        }
+
+        viewer.appendChild(createCollectionViewer(collections[0].collection, `${option.downloadUrl}#0`));
+        host.appendChild(viewer);
+    } catch (error) {
+        console.error(error);
+        if (host.dataset.source !== option.downloadUrl) {
+            return;
+        }
+
+        status.textContent = `Unable to load ${option.name}: ${error.message}`;
+        status.classList.add("spec-explorer__status--error");
+    }
+}
+
+function buildCollectionModel(collection) {
+    const requests = [];
+
+    const walk = (items, folder, inheritedAuth) => (items || []).map((item) => {
+        const auth = item.auth || inheritedAuth;
+        if (Array.isArray(item.item)) {
+            const path = [...folder, item.name || "Folder"];
+            return { name: item.name || "Folder", description: getPostmanText(item.description), items: walk(item.item, path, auth) };
+        }
+
+        const request = typeof item.request === "string" ? { url: item.request, method: "GET" } : item.request || {};
+        const entry = {
+            name: item.name || "Request",
+            folder,
+            description: getPostmanText(item.description || request.description),
+            method: String(request.method || "GET").toUpperCase(),
+            url: getPostmanUrl(request.url),
+            headers: (request.header || [])
+                .filter((header) => !header.disabled && header.key)
+                .map((header) => [header.key, String(header.value ?? "")]),
+            body: getPostmanBody(request.body),
+            auth: request.auth || auth,
+            examples: (item.response || []).map((response) => ({
+                name: response.name || "Example",
+                code: response.code || "",
+                status: response.status || "",
+                body: response.body || ""
+            }))
+        };
+        requests.push(entry);
+        return entry;
+    });
+
+    const tree = walk(collection.item, [], collection.auth);
+    const declared = (collection.variable || []).filter((variable) => variable?.key);
+    const used = new Set(JSON.stringify(requests).match(/\{\{[^{}]+\}\}/g)?.map((match) => match.slice(2, -2).trim()) || []);
+    declared.forEach((variable) => used.delete(variable.key));
+
+    return {
+        name: collection.info.name || "Untitled collection",
+        description: getPostmanText(collection.info.description),
+        schema: collection.info.schema?.match(/v2\.[01](\.\d+)?/)?.[0] || "v2.x",
+        variables: [
+            ...declared.map((variable) => ({ key: variable.key, value: String(variable.value ?? ""), declared: true })),
+            ...Array.from(used).sort(compareStrings).map((key) => ({ key, value: "", declared: false }))
+        ],
+        tree,
+        requests
+    };
+}
+
+function getPostmanText(value) {
+    return typeof value === "string" ? value : value?.content || "";
+}
+
+function getPostmanUrl(url) {
+    if (!url || typeof url === "string") {
+        return url || "";
+    }
+    if (url.raw) {
+        return url.raw;
+    }
+
+    const host = Array.isArray(url.host) ? url.host.join(".") : url.host || "";
+    const path = Array.isArray(url.path) ? url.path.join("/") : url.path || "";
+    const query = (url.query || [])
+        .filter((parameter) => !parameter.disabled && parameter.key)
+        .map((parameter) => `${parameter.key}=${parameter.value ?? ""}`)
+        .join("&");
+    return `${url.protocol ? `${url.protocol}://` : ""}${host}${url.port ? `:${url.port}` : ""}${path ? `/${path}` : ""}${query ? `?${query}` : ""}`;
+}
+
+function getPostmanBody(body) {
+    if (!body || body.disabled) {
+        return null;
+    }
+
+    const pairs = (list) => (list || [])
+        .filter((field) => !field.disabled && field.key)
+        .map((field) => ({ key: field.key, value: String(field.value ?? ""), file: field.type === "file" ? String(field.src || "file") : "" }));
+
+    switch (body.mode) {
+        case "raw":
+            return body.raw ? { mode: "raw", raw: body.raw, language: body.options?.raw?.language || "" } : null;
+        case "urlencoded":
+            return { mode: "urlencoded", fields: pairs(body.urlencoded) };
+        case "formdata":
+            return { mode: "formdata", fields: pairs(body.formdata) };
+        case "graphql":
+            return { mode: "raw", raw: JSON.stringify({ query: body.graphql?.query || "", variables: body.graphql?.variables || undefined }), language: "json" };
+        default:
+            return null;
+    }
+}
+
+function createCollectionViewer(collection, variablesKey) {
+    const model = buildCollectionModel(collection);
+    if (!state.collectionVariables.has(variablesKey)) {
+        state.collectionVariables.set(variablesKey, new Map(model.variables.map((variable) => [variable.key, variable.value])));
+    }
+    const values = state.collectionVariables.get(variablesKey);
+    const refreshers = [];
+
+    const viewer = document.createElement("section");
+    viewer.className = "spec-explorer";
+    viewer.setAttribute("aria-label", `${model.name} Postman collection`);
+
+    const header = document.createElement("header");
+    header.className = "spec-explorer__header";
+    const title = document.createElement("h5");
+    title.className = "spec-explorer__title";
+    title.textContent = model.name;
+    const summary = document.createElement("div");
+    summary.className = "version-card__meta";
+    appendMetaText(summary, "Format", `Postman collection ${model.schema}`);
+    appendMetaText(summary, "Requests", String(model.requests.length));
+    appendMetaText(summary, "Variables", String(model.variables.length));
+    header.append(title, summary);
+    viewer.appendChild(header);
+
+    if (model.description) {
+        const description = document.createElement("p");
+        description.className = "spec-explorer__description";
+        description.textContent = stripHtml(model.description);
+        viewer.appendChild(description);
+    }
+
+    if (model.variables.length) {
+        const variablesSection = document.createElement("section");
+        variablesSection.className = "spec-explorer__section";
+        const variablesTitle = document.createElement("h5");
+        variablesTitle.textContent = "Variables";
+        const fields = document.createElement("div");
+        fields.className = "request-console__fields";
+        model.variables.forEach((variable) => {
+            const label = document.createElement("label");
+            label.className = "request-console__field";
+            label.textContent = variable.declared ? variable.key : `${variable.key} (not declared)`;
+            const input = document.createElement("input");
+            input.type = "text";
+            input.value = values.get(variable.key) || "";
+            input.addEventListener("input", () => {
+                values.set(variable.key, input.value);
+                refreshers.forEach((refresh) => refresh());
+            });
+            label.appendChild(input);
+            fields.appendChild(label);
+        });
+        variablesSection.append(variablesTitle, fields);
+        viewer.appendChild(variablesSection);
+    }
+
+    const requestsSection = document.createElement("section");
+    requestsSection.className = "spec-explorer__section";
+    const requestsTitle = document.createElement("h5");
+    requestsTitle.textContent = "Folders and requests";
+    requestsSection.appendChild(requestsTitle);
+
+    const appendItems = (container, items) => items.forEach((item) => {
+        if (item.items) {
+            const group = document.createElement("div");
+            group.className = "spec-resource";
+            const groupTitle = document.createElement("h6");
+            groupTitle.className = "spec-resource__title";
+            groupTitle.textContent = item.name;
+            group.appendChild(groupTitle);
+            appendItems(group, item.items);
+            container.appendChild(group);
+        } else {
+            container.appendChild(createCollectionRequest(item, values, refreshers));
+        }
+    });
+
+    if (!model.requests.length) {
+        requestsSection.appendChild(createSpecEmpty("This collection does not contain any requests."));
+    }
+    appendItems(requestsSection, model.tree);
+    viewer.appendChild(requestsSection);
+
+    return viewer;
+}
+
+function createCollectionRequest(request, values, refreshers) {
+    const details = document.createElement("details");
+    details.className = "spec-operation";
+
+    const summary = document.createElement("summary");
+    const method = document.createElement("span");
+    method.className = `spec-method spec-method--${request.method.toLowerCase()}`;
+    method.textContent = request.method;
+    const name = document.createElement("span");
+    name.className = "spec-operation__summary";
+    name.textContent = request.name;
+    summary.append(method, name);
+    details.appendChild(summary);
+
+    const body = document.createElement("div");
+    body.className = "spec-operation__body";
+
+    const url = document.createElement("code");
+    url.className = "spec-operation__path";
+    url.textContent = request.url;
+    body.appendChild(url);
+
+    if (request.description) {
+        const description = document.createElement("p");
+        description.className = "spec-explorer__description";
+        description.textContent = stripHtml(request.description);
+        body.appendChild(description);
+    }
+
+    if (request.headers.length) {
+        body.appendChild(createSpecTable("Headers", ["Name", "Value"], request.headers));
+    }
+
+    if (request.body) {
+        const bodyTitle = document.createElement("h6");
+        bodyTitle.className = "request-console__title";
+        bodyTitle.textContent = `Body (${request.body.mode})`;
+        body.appendChild(bodyTitle);
+        if (request.body.mode === "raw") {
+            body.appendChild(createCodeBlock(formatPostmanBody(request.body.raw)));
+        } else {
+            body.appendChild(createSpecTable("Fields", ["Name", "Value"], request.body.fields.map((field) => [field.key, field.file ? `@${field.file}` : field.value])));
+        }
+    }
+
+    request.examples.forEach((example) => {
+        const exampleTitle = document.createElement("h6");
+        exampleTitle.className = "request-console__title";
+        exampleTitle.textContent = `Example: ${example.name}${example.code ? ` (${example.code} ${example.status})` : ""}`;
+        body.append(exampleTitle, createCodeBlock(formatPostmanBody(example.body) || "(empty body)"));
+    });
+
+    const snippetControls = document.createElement("div");
+    snippetControls.className = "version-compare__controls";
+    const formatLabel = document.createElement("label");
+    formatLabel.className = "version-compare__field";
+    formatLabel.textContent = "Snippet";
+    const format = document.createElement("select");
+    [
+        ["curl", "curl"],
+        ["httpie", "HTTPie"],
+        ["fetch", "JavaScript fetch"]
+    ].forEach(([value, text]) => {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = text;
+        format.appendChild(option);
+    });
+    format.value = state.snippetFormat;
+    formatLabel.appendChild(format);
+
+    const copy = document.createElement("button");
+    copy.type = "button";
+    copy.className = "pager";
+    copy.textContent = "Copy";
+
+    const snippet = createCodeBlock("");
+    const refresh = () => {
+        snippet.textContent = createRequestSnippet(substituteRequestVariables(request, values), format.value);
+    };
+    format.addEventListener("change", () => {
+        state.snippetFormat = format.value;
+        refresh();
+    });
+    copy.addEventListener("click", () => {
+        if (!navigator.clipboard?.writeText) {
+            setStatus("This page cannot use the clipboard. Select the snippet and copy it manually.", true);
+            return;
+        }
+
+        navigator.clipboard.writeText(snippet.textContent)
+            .then(() => setStatus("Snippet copied to the clipboard.", false))
+            .catch(() => setStatus("Unable to copy the snippet. Select the text and copy it manually.", true));
+    });
+    refreshers.push(refresh);
+    refresh();
+
+    snippetControls.append(formatLabel, copy);
+    body.append(snippetControls, snippet);
+    details.appendChild(body);
+    return details;
+}
+
+function createCodeBlock(text) {
+    const block = document.createElement("pre");
+    block.className = "request-console__body";
+    block.textContent = text;
+    return block;
+}
+
+function formatPostmanBody(text = "") {
+    try {
+        return JSON.stringify(JSON.parse(text), null, 2);
+    } catch (error) {
+        return text;
+    }
+}
+
+function substituteVariables(text, values) {
+    return String(text).replace(/\{\{([^{}]+)\}\}/g, (match, key) => {
+        const value = values.get(key.trim());
+        return value ? value : match;
+    });
+}
+
+function substituteRequestVariables(request, values) {
+    const substitute = (text) => substituteVariables(text, values);
+    const headers = request.headers.map(([key, value]) => [substitute(key), substitute(value)]);
+    const auth = request.auth;
+
+    if (auth?.type && !headers.some(([key]) => key.toLowerCase() === "authorization")) {
+        const setting = (name) => substitute((auth[auth.type] || []).find((item) => item.key === name)?.value ?? "");
+        if (auth.type === "bearer") {
+            headers.push(["Authorization", `Bearer ${setting("token")}`]);
+        } else if (auth.type === "basic") {
+            headers.push(["Authorization", `Basic ${btoa(`${setting("username")}:${setting("password")}`)}`]);
+        } else if (auth.type === "apikey" && setting("in") !== "query") {
+            headers.push([setting("key") || "X-API-Key", setting("value")]);
+        }
+    }
+
+    return {
+        method: request.method,
+        url: substitute(request.url),
+        headers,
+        body: request.body && (request.body.mode === "raw"
+            ? { ...request.body, raw: substitute(request.body.raw) }
+            : { ...request.body, fields: request.body.fields.map((field) => ({ ...field, key: substitute(field.key), value: substitute(field.value) })) })
+    };
+}
+
+function createRequestSnippet(request, format) {
+    switch (format) {
+        case "httpie":
+            return toHttpieSnippet(request);
+        case "fetch":
+            return toFetchSnippet(request);
+        case "curl":
+        default:
+            return toCurlSnippet(request);
+    }
+}
+
+function toCurlSnippet(request) {
+    const quote = (value) => `'${String(value).replace(/'/g, "'\\''")}'`;
+    const parts = [`curl${request.method === "GET" ? "" : ` -X ${request.method}`} ${quote(request.url)}`];
+
+    request.headers.forEach(([key, value]) => parts.push(`-H ${quote(`${key}: ${value}`)}`));
+    if (request.body?.mode === "raw") {
+        parts.push(`--data-raw ${quote(request.body.raw)}`);
+    } else if (request.body?.mode === "urlencoded") {
+        request.body.fields.forEach((field) => parts.push(`--data-urlencode ${quote(`${field.key}=${field.value}`)}`));
+    } else if (request.body?.mode === "formdata") {
+        request.body.fields.forEach((field) => parts.push(`-F ${quote(`${field.key}=${field.file ? `@${field.file}` : field.value}`)}`));
+    }
+
+    return `${parts.join(" \\\n  ")}\n`;
+}
+
+function toHttpieSnippet(request) {
+    const quote = (value) => `'${String(value).replace(/'/g, "'\\''")}'`;
+    const parts = ["http"];
+
+    if (request.body?.mode === "urlencoded") {
+        parts.push("--form");
+    } else if (request.body?.mode === "formdata") {
+        parts.push("--multipart");
+    } else if (request.body?.mode === "raw") {
+        parts.push(`--raw ${quote(request.body.raw)}`);
+    }
+
+    parts.push(`${request.method} ${quote(request.url)}`);
+    request.headers.forEach(([key, value]) => parts.push(quote(`${key}:${value}`)));
+    if (request.body && request.body.mode !== "raw") {
+        request.body.fields.forEach((field) => parts.push(quote(field.file ? `${field.key}@${field.file}` : `${field.key}=${field.value}`)));
+    }
+
+    return `${parts.join(" \\\n  ")}\n`;
+}
+
+function toFetchSnippet(request) {
+    const lines = ["const response = await fetch(" + JSON.stringify(request.url) + ", {", `  method: ${JSON.stringify(request.method)},`];
+
+    if (request.headers.length) {
+        lines.push("  headers: {");
+        lines.push(request.headers.map(([key, value]) => `    ${JSON.stringify(key)}: ${JSON.stringify(value)}`).join(",\n"));
+        lines.push("  },");
+    }
+
+    if (request.body?.mode === "raw") {
+        lines.push(`  body: ${JSON.stringify(request.body.raw)},`);
+    } else if (request.body?.mode === "urlencoded") {
+        lines.push(`  body: new URLSearchParams(${JSON.stringify(request.body.fields.map((field) => [field.key, field.value]))}),`);
+    } else if (request.body?.mode === "formdata") {
+        lines.push("  body: (() => {", "    const form = new FormData();");
+        request.body.fields.forEach((field) => {
+            lines.push(field.file
+                ? `    form.append(${JSON.stringify(field.key)}, fileInput.files[0]); // ${field.file}`
+                : `    form.append(${JSON.stringify(field.key)}, ${JSON.stringify(field.value)});`);
+        });
+        lines.push("    return form;", "  })(),");
+    }
+
+    lines[lines.length - 1] = lines[lines.length - 1].replace(/,$/, "");
+    lines.push("});", "console.log(response.status, await response.text());");
+    return `${lines.join("\n")}\n`;
+}
+
+function createReleaseTimeline(doc) {
+    const points = doc.versions
+        .map((version) => {
+            const estimated = !version.publishedTime;
+            return {
+                version,
+                time: version.publishedTime || getReleaseTrainTime(version.release),
+                estimated
+            };
+        })
+        .filter((point) => point.time)
+        .sort((a, b) => a.time - b.time);
+
+    if (!points.length) {
+        return null;
+    }
+
+    const section = document.createElement("section");
+    section.className = "release-timeline";
+
+    const heading = document.createElement("h3");
+    heading.className = "detail-card__section-title";
+    heading.textContent = "Release timeline";
+
+    const width = 720;
+    const height = 150;
+    const padding = 48;
+    const axisY = 110;
+    const year = 365.25 * 24 * 60 * 60 * 1000;
+    const start = points[0].time - year / 4;
+    const end = points[points.length - 1].time + year / 4;
+    const scale = (time) => padding + ((time - start) / (end - start)) * (width - padding * 2);
+
+    const svg = createSvgElement("svg", {
+        viewBox: `0 0 ${width} ${height}`,
+        role: "img",
+        "aria-label": `${doc.documentNumber} versions plotted by publication date`,
+        class: "release-timeline__chart"
+    });
+    svg.appendChild(createSvgElement("line", { x1: padding, x2: width - padding, y1: axisY, y2: axisY, class: "timeline__axis" }));
+
+    for (let tick = new Date(start).getUTCFullYear() + 1; Date.UTC(tick, 0, 1) <= end; tick += 1) {
+        const x = scale(Date.UTC(tick, 0, 1));
+        svg.appendChild(createSvgElement("line", { x1: x, x2: x, y1: axisY - 4, y2: axisY + 4, class: "timeline__tick" }));
+        const label = createSvgElement("text", { x, y: axisY + 20, class: "timeline__tick-label" });
+        label.textContent = String(tick);
+        svg.appendChild(label);
+    }
+
+    points.forEach((point, index) => {
+        const { version } = point;
+        const x = scale(point.time);
+        const labelY = index % 2 ? 38 : 66;
+        const route = { view: "detail", id: doc.id, version: version.version };
+
+        const link = createSvgElement("a", { href: buildHash(route), class: "timeline__item" });
+        link.addEventListener("click", (event) => {
+            event.preventDefault();
+            navigateTo(route);
+        });
+
+        const title = createSvgElement("title");
+        title.textContent = [
+            version.version,
+            version.release && `release ${getReleaseTrain(version.release)}`,
+            point.estimated ? "date estimated from the release train" : `published ${version.published}`,
+            version.lifecycle
+        ].filter(Boolean).join(", ");
+
+        link.append(
+            title,
+            createSvgElement("line", { x1: x, x2: x, y1: labelY + 6, y2: axisY - 7, class: "timeline__stem" }),
+            createSvgElement("circle", {
+                cx: x,
+                cy: axisY,
+                r: 6,
+                class: `timeline__point timeline__point--${createSlug(version.lifecycle)}${point.estimated ? " timeline__point--estimated" : ""}`
+            })
+        );
+
+        const label = createSvgElement("text", { x, y: labelY, class: "timeline__label" });
+        label.textContent = version.version;
+        const release = createSvgElement("tspan", { x, dy: 12, class: "timeline__sublabel" });
+        release.textContent = getReleaseTrain(version.release);
+        label.appendChild(release);
+        link.appendChild(label);
+
+        svg.appendChild(link);
+    });
+
+    section.append(heading, svg, createTimelineLegend(points.some((point) => point.estimated)));
+    return section;
+}
+
+function createTimelineLegend(showEstimated) {
+    const legend = document.createElement("ul");
+    legend.className = "timeline-legend";
+
+    const lifecycles = ["Production", "Pre-Production", "Historic"];
+    lifecycles.forEach((lifecycle) => {
+        const item = document.createElement("li");
+        const swatch = document.createElement("span");
+        swatch.className = `timeline-legend__swatch timeline__point--${createSlug(lifecycle)}`;
+        item.append(swatch, document.createTextNode(lifecycle));
+        legend.appendChild(item);
+    });
+
+    if (showEstimated) {
+        const item = document.createElement("li");
+        const swatch = document.createElement("span");
+        swatch.className = "timeline-legend__swatch timeline__point--estimated";
+        item.append(swatch, document.createTextNode("Undated, placed by release train"));
+        legend.appendChild(item);
+    }
+
+    return legend;
+}
+
+function renderCatalogueTimeline() {
+    if (!elements.detailView) {
+        return;
+    }
+
+    elements.detailView.innerHTML = "";
+    elements.detailView.dataset.document = getFilteredViewKey("timeline");
+    delete elements.detailView.dataset.target;
+
+    const container = document.createElement("article");
+    container.className = "detail-card timeline-view";
+
+    const header = document.createElement("header");
+    header.className = "detail-card__header";
+
+    const title = document.createElement("h2");
+    title.className = "detail-card__title";
+    title.textContent = "Release trains";
+
+    const closeButton = document.createElement("button");
+    closeButton.type = "button";
+    closeButton.className = "detail-card__close";
+    closeButton.setAttribute("aria-label", "Close release trains");
+    closeButton.textContent = "×";
+    closeButton.addEventListener("click", () => navigateToIndex());
+
+    header.append(title, closeButton);
+
+    const groups = getReleaseTrainGroups(state.filtered);
+    const summary = document.createElement("p");
+    summary.className = "version-compare__summary";
+    summary.textContent = `${groups.reduce((total, group) => total + group.entries.length, 0)} versions of ${state.filtered.length} APIs across ${groups.length} release trains. Filters and search from the index apply.`;
+
+    container.append(header, summary);
+
+    if (!groups.length) {
+        container.appendChild(createSpecEmpty("No versions match the current filters."));
+        elements.detailView.appendChild(container);
+        return;
+    }
+
+    const lifecycles = ["Production", "Pre-Production", "Historic"];
+    const columnWidth = 56;
+    const chartHeight = 160;
+    const width = Math.max(720, groups.length * columnWidth + 40);
+    const height = chartHeight + 40;
+    const maxCount = Math.max(...groups.map((group) => group.entries.length));
+
+    const svg = createSvgElement("svg", {
+        viewBox: `0 0 ${width} ${height}`,
+        width,
+        height,
+        role: "img",
+        "aria-label": "Number of API versions per release train",
+        class: "release-timeline__chart release-timeline__chart--bars"
+    });
+
+    groups.forEach((group, index) => {
+        const x = 20 + index * columnWidth;
+        let y = chartHeight;
+        const counts = lifecycles.map((lifecycle) => group.entries.filter((entry) => entry.version.lifecycle === lifecycle).length);
+        const other = group.entries.length - counts.reduce((total, count) => total + count, 0);
+
+        [...lifecycles, ""].forEach((lifecycle, lifecycleIndex) => {
+            const count = lifecycle ? counts[lifecycleIndex] : other;
+            if (!count) {
+                return;
+            }
+
+            const barHeight = (count / maxCount) * (chartHeight - 24);
+            y -= barHeight;
+            const bar = createSvgElement("rect", {
+                x: x + 8,
+                y,
+                width: columnWidth - 16,
+                height: barHeight,
+                class: `timeline__bar timeline__point--${createSlug(lifecycle || "unknown")}`
+            });
+            const tooltip = createSvgElement("title");
+            tooltip.textContent = `${group.train}: ${count} ${lifecycle || "other"} version${count === 1 ? "" : "s"}`;
+            bar.appendChild(tooltip);
+            svg.appendChild(bar);
+        });
+
+        const total = createSvgElement("text", { x: x + columnWidth / 2, y: y - 6, class: "timeline__label" });
+        total.textContent = String(group.entries.length);
+        const label = createSvgElement("text", { x: x + columnWidth / 2, y: chartHeight + 18, class: "timeline__tick-label" });
+        label.textContent = group.train;
+        svg.append(total, label);
+    });
+
+    const chart = document.createElement("div");
+    chart.className = "compare-table__wrapper";
+    chart.appendChild(svg);
+
+    const list = document.createElement("dl");
+    list.className = "timeline-view__trains";
+    [...groups]
+        .sort((a, b) => (a.train === "Unassigned") - (b.train === "Unassigned") || compareReleaseTrains(b.train, a.train))
+        .forEach((group) => {
+            const term = document.createElement("dt");
+            term.textContent = group.train;
+
+            const definition = document.createElement("dd");
+            group.entries.forEach(({ doc, version }) => {
+                const link = createRouteLink(
+                    `${doc.documentNumber} ${version.version}`,
+                    { view: "detail", id: doc.id, version: version.version },
+                    `timeline-view__chip timeline-view__chip--${createSlug(version.lifecycle)}`
+                );
+                link.title = `${doc.apiName} (${version.lifecycle || "unknown lifecycle"})`;
+                definition.appendChild(link);
+            });
+
+            list.append(term, definition);
+        });
+
+    container.append(chart, createTimelineLegend(false), list);
+    elements.detailView.appendChild(container);
+}
+
+function getFilteredViewKey(view) {
+    return `${view}:${getViewStateParams().toString()}:${state.documents.length}`;
+}
+
+function getReleaseTrainGroups(documents) {
+    const groups = new Map();
+
+    documents.forEach((doc) => {
+        doc.versions.forEach((version) => {
+            const train = getReleaseTrainKey(version.release) || "Unassigned";
+            if (!groups.has(train)) {
+                groups.set(train, []);
+            }
+            groups.get(train).push({ doc, version });
+        });
+    });
+
+    return Array.from(groups.entries())
+        .map(([train, entries]) => ({
+            train,
+            entries: entries.sort((a, b) => compareStrings(a.doc.documentNumber, b.doc.documentNumber) || compareVersions(a.version.version, b.version.version))
+        }))
+        .sort((a, b) => (a.train === "Unassigned") - (b.train === "Unassigned") || compareReleaseTrains(a.train, b.train));
+}
+
+function getReleaseTrainKey(value = "") {
+    const parts = getReleaseTrain(value).match(/^(\d+)\.(\d+)/);
+    return parts ? `${parts[1]}.${parts[2]}` : "";
+}
+
+function getReleaseTrainTime(value = "") {
+    const parts = getReleaseTrainKey(value).split(".").map(Number);
+    if (parts.length < 2 || Number.isNaN(parts[0])) {
+        return 0;
+    }
+
+    return Date.UTC(2000 + parts[0], parts[1] >= 5 ? 11 : 5, 1);
+}
+
+function createSvgElement(name, attributes = {}) {
+    const element = document.createElementNS(SVG_NS, name);
+    Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, String(value)));
+    return element;
+}
+
+function createVersionCompare(doc) {
+    const candidates = doc.versions
+        .map((version) => ({ version, option: getSpecOption(version) }))
+        .filter((candidate) => candidate.option);
+
+    if (candidates.length < 2) {
+        return null;
+    }
+
+    const section = document.createElement("section");
+    section.className = "version-compare";
+
+    const heading = document.createElement("h3");
+    heading.className = "detail-card__section-title";
+    heading.textContent = "Compare versions";
+    section.appendChild(heading);
+
+    const controls = document.createElement("div");
+    controls.className = "version-compare__controls";
+
+    const baseSelect = createVersionSelect("Base version", candidates, 1);
+    const targetSelect = createVersionSelect("Target version", candidates, 0);
+
+    const breakingLabel = document.createElement("label");
+    breakingLabel.className = "version-compare__toggle";
+    const breakingOnly = document.createElement("input");
+    breakingOnly.type = "checkbox";
+    breakingLabel.append(breakingOnly, " Breaking changes only");
+
+    const compareButton = document.createElement("button");
+    compareButton.type = "button";
+    compareButton.className = "download-button";
+    compareButton.textContent = "Compare versions";
+
+    controls.append(baseSelect.label, targetSelect.label, breakingLabel, compareButton);
+    section.appendChild(controls);
+
+    const results = document.createElement("div");
+    results.className = "version-compare__results";
+    results.setAttribute("aria-live", "polite");
+    section.appendChild(results);
+
+    compareButton.addEventListener("click", () => {
+        const base = candidates[Number(baseSelect.select.value)];
+        const target = candidates[Number(targetSelect.select.value)];
+        runVersionCompare(base, target, results, breakingOnly);
+    });
+
+    breakingOnly.addEventListener("change", () => {
+        if (results.report) {
+            renderVersionDiff(results, breakingOnly.checked);
+        }
+    });
+
+    return section;
+}
+
+function createVersionSelect(labelText, candidates, selectedIndex) {
+    const label = document.createElement("label");
+    label.className = "version-compare__field";
+
+    const text = document.createElement("span");
+    text.textContent = labelText;
+
+    const select = document.createElement("select");
+    candidates.forEach(({ version, option }, index) => {
+        const item = document.createElement("option");
+        item.value = String(index);
+        item.textContent = [version.version, version.release || version.published, option.category, option.name].filter(Boolean).join(" · ");
+        select.appendChild(item);
+    });
+    select.value = String(Math.min(selectedIndex, candidates.length - 1));
+
+    label.append(text, select);
+    return { label, select };
+}
+
+function getSpecOption(version) {
+    return version.options.find((option) => option.type === "swagger" && option.downloadUrl) || null;
+}
+
+async function runVersionCompare(base, target, results, breakingOnly) {
+    results.innerHTML = "";
+    results.report = null;
+
+    const status = document.createElement("p");
+    status.className = "spec-explorer__status";
+    results.appendChild(status);
+
+    if (base === target) {
+        status.textContent = "Choose two different versions to compare.";
+        return;
+    }
+
+    const requestKey = `${base.option.downloadUrl}|${target.option.downloadUrl}`;
+    results.dataset.request = requestKey;
+    status.textContent = `Comparing ${base.version.version} with ${target.version.version}...`;
+
+    try {
+        const [baseResult, targetResult] = await Promise.all([
+            loadSpecification(base.option.downloadUrl),
+            loadSpecification(target.option.downloadUrl)
+        ]);
+        if (results.dataset.request !== requestKey) {
+            return;
+        }
+
+        results.report = {
+            base,
+            target,
+            changes: diffSpecifications(baseResult.spec, targetResult.spec)
+        };
+        renderVersionDiff(results, breakingOnly.checked);
+    } catch (error) {
+        console.error(error);
+        if (results.dataset.request !== requestKey) {
+            return;
+        }
+
+        status.textContent = `Unable to compare these versions: ${error.message}`;
+        status.classList.add("spec-explorer__status--error");
+    }
+}
+
+function renderVersionDiff(results, breakingOnly) {
+    const { base, target, changes } = results.report;
+    const breakingCount = changes.filter((change) => change.breaking).length;
+    const visible = breakingOnly ? changes.filter((change) => change.breaking) : changes;
+
+    results.innerHTML = "";
+
+    const summary = document.createElement("p");
+    summary.className = "version-compare__summary";
+    summary.textContent = changes.length
+        ? `${changes.length} change${changes.length === 1 ? "" : "s"} from ${base.version.version} to ${target.version.version}: ${breakingCount} breaking, ${changes.length - breakingCount} non-breaking.`
+        : `No differences found in paths, operations or schemas between ${base.version.version} and ${target.version.version}.`;
+    results.appendChild(summary);
+
+    if (!visible.length) {
+        return;
+    }
+
+    results.appendChild(createSpecTable(
+        "Changes",
+        ["Impact", "Change", "Area", "Location", "Detail"],
+        visible.map((change) => {
+            const impact = createBadge(change.breaking ? "Breaking" : "Non-breaking");
+            impact.classList.add(change.breaking ? "badge--breaking" : "badge--safe");
+            return [impact, change.change, change.area, change.location, change.detail];
+        })
+    ));
+}
+
+function diffSpecifications(baseSpec, targetSpec) {
+    const base = buildSpecModel(baseSpec);
+    const target = buildSpecModel(targetSpec);
+    const changes = [];
+    const record = (change, area, location, detail, breaking) => {
+        changes.push({ change, area, location, detail, breaking });
+    };
+
+    const basePaths = Object.keys(baseSpec.paths || {});
+    const targetPaths = Object.keys(targetSpec.paths || {});
+    basePaths
+        .filter((path) => !targetPaths.includes(path))
+        .forEach((path) => record("removed", "path", path, "Path is no longer available.", true));
+    targetPaths
+        .filter((path) => !basePaths.includes(path))
+        .forEach((path) => record("added", "path", path, "New path.", false));
+
+    const baseOperations = new Map(base.operations.map((operation) => [`${operation.method.toUpperCase()} ${operation.path}`, operation]));
+    const targetOperations = new Map(target.operations.map((operation) => [`${operation.method.toUpperCase()} ${operation.path}`, operation]));
+
+    baseOperations.forEach((operation, key) => {
+        const next = targetOperations.get(key);
+        if (next) {
+            diffOperations(key, operation, next, record);
+        } else if (targetPaths.includes(operation.path)) {
+            record("removed", "operation", key, "Operation is no longer available.", true);
+        }
+    });
+
+    targetOperations.forEach((operation, key) => {
+        if (!baseOperations.has(key) && basePaths.includes(operation.path)) {
+            record("added", "operation", key, "New operation.", false);
+        }
+    });
+
+    const baseSchemas = Object.keys(base.schemas);
+    const targetSchemas = Object.keys(target.schemas);
+    baseSchemas
+        .filter((name) => !target.schemas[name])
+        .forEach((name) => record("removed", "schema", name, "Schema definition is no longer available.", true));
+    targetSchemas
+        .filter((name) => !base.schemas[name])
+        .forEach((name) => record("added", "schema", name, "New schema definition.", false));
+
+    baseSchemas
+        .filter((name) => target.schemas[name])
+        .forEach((name) => {
+            const before = flattenSpecSchema(base.schemas, base.schemas[name]);
+            const after = flattenSpecSchema(target.schemas, target.schemas[name]);
+
+            before.properties.forEach((property, propertyName) => {
+                const location = `${name}.${propertyName}`;
+                const next = after.properties.get(propertyName);
+                if (!next) {
+                    record("removed", "property", location, "Property is no longer available.", true);
+                    return;
+                }
+
+                const beforeType = formatSchemaType(property);
+                const afterType = formatSchemaType(next);
+                if (beforeType !== afterType) {
+                    record("changed", "property", location, `Type changed from ${beforeType} to ${afterType}.`, true);
+                }
+                diffEnums(location, property?.enum, next?.enum, record);
+
+                if (!before.required.has(propertyName) && after.required.has(propertyName)) {
+                    record("changed", "required", location, "Property is now required.", true);
+                } else if (before.required.has(propertyName) && !after.required.has(propertyName)) {
+                    record("changed", "required", location, "Property is no longer required.", false);
+                }
+            });
+
+            after.properties.forEach((property, propertyName) => {
+                if (!before.properties.has(propertyName)) {
+                    const isRequired = after.required.has(propertyName);
+                    record("added", "property", `${name}.${propertyName}`, isRequired ? "New required property." : "New optional property.", isRequired);
+                }
+            });
+
+            diffEnums(name, before.enum, after.enum, record);
+        });
+
+    const areaOrder = ["path", "operation", "parameter", "request", "response", "schema", "property", "required", "enum"];
+    return changes.sort((a, b) => Number(b.breaking) - Number(a.breaking)
+        || areaOrder.indexOf(a.area) - areaOrder.indexOf(b.area)
+        || compareStrings(a.location, b.location));
+}
+
+function diffOperations(key, before, after, record) {
+    const beforeParameters = new Map(before.parameters.map((parameter) => [`${parameter.in}:${parameter.name}`, parameter]));
+    const afterParameters = new Map(after.parameters.map((parameter) => [`${parameter.in}:${parameter.name}`, parameter]));
+
+    beforeParameters.forEach((parameter, parameterKey) => {
+        const location = `${key} ${parameter.in} parameter "${parameter.name}"`;
+        const next = afterParameters.get(parameterKey);
+        if (!next) {
+            record("removed", "parameter", location, "Parameter is no longer accepted.", true);
+            return;
+        }
+
+        if (!parameter.required && next.required) {
+            record("changed", "parameter", location, "Parameter is now required.", true);
+        } else if (parameter.required && !next.required) {
+            record("changed", "parameter", location, "Parameter is no longer required.", false);
+        }
+
+        const beforeType = formatSchemaType(parameter.schema);
+        const afterType = formatSchemaType(next.schema);
+        if (beforeType !== afterType) {
+            record("changed", "parameter", location, `Type changed from ${beforeType} to ${afterType}.`, true);
+        }
+        diffEnums(location, parameter.schema?.enum, next.schema?.enum, record);
+    });
+
+    afterParameters.forEach((parameter, parameterKey) => {
+        if (!beforeParameters.has(parameterKey)) {
+            record(
+                "added",
+                "parameter",
+                `${key} ${parameter.in} parameter "${parameter.name}"`,
+                parameter.required ? "New required parameter." : "New optional parameter.",
+                parameter.required
+            );
+        }
+    });
+
+    if (before.requestBody && !after.requestBody) {
+        record("removed", "request", key, "Request body is no longer accepted.", true);
+    } else if (!before.requestBody && after.requestBody) {
+        record("added", "request", key, after.requestBody.required ? "New required request body." : "New optional request body.", after.requestBody.required);
+    } else if (before.requestBody && after.requestBody) {
+        const beforeType = formatSchemaType(before.requestBody.schema);
+        const afterType = formatSchemaType(after.requestBody.schema);
+        if (beforeType !== afterType) {
+            record("changed", "request", key, `Request body changed from ${beforeType} to ${afterType}.`, true);
+        }
+    }
+
+    const beforeResponses = new Map(before.responses.map((response) => [response.code, response]));
+    const afterResponses = new Map(after.responses.map((response) => [response.code, response]));
+
+    beforeResponses.forEach((response, code) => {
+        const isSuccess = /^2/.test(code);
+        const next = afterResponses.get(code);
+        if (!next) {
+            record("removed", "response", `${key} ${code}`, "Response code is no longer returned.", isSuccess);
+            return;
+        }
+
+        const beforeType = formatSchemaType(response.schema);
+        const afterType = formatSchemaType(next.schema);
+        if (response.schema && beforeType !== afterType) {
+            record("changed", "response", `${key} ${code}`, `Response body changed from ${beforeType} to ${afterType}.`, isSuccess);
+        }
+    });
+
+    afterResponses.forEach((response, code) => {
+        if (!beforeResponses.has(code)) {
+            record("added", "response", `${key} ${code}`, "New response code.", false);
+        }
+    });
+}
+
+function diffEnums(location, before, after, record) {
+    const hadEnum = Array.isArray(before);
+    const hasEnum = Array.isArray(after);
+
+    if (!hadEnum && hasEnum) {
+        record("changed", "enum", location, `Values are now restricted to ${after.join(", ")}.`, true);
+        return;
+    }
+    if (hadEnum && !hasEnum) {
+        record("changed", "enum", location, "Values are no longer restricted to an enum.", false);
+        return;
+    }
+    if (!hadEnum) {
+        return;
+    }
+
+    before
+        .filter((value) => !after.includes(value))
+        .forEach((value) => record("removed", "enum", location, `Enum value "${value}" removed.`, true));
+    after
+        .filter((value) => !before.includes(value))
+        .forEach((value) => record("added", "enum", location, `Enum value "${value}" added.`, false));
+}
+
+function flattenSpecSchema(schemas, schema, seen = new Set()) {
+    const result = { properties: new Map(), required: new Set(), enum: null };
+    if (!schema || typeof schema !== "object") {
+        return result;
+    }
+
+    if (schema.$ref) {
+        const name = getRefName(schema.$ref);
+        if (!isLocalSchemaRef(schema.$ref) || seen.has(name)) {
+            return result;
+        }
+        seen.add(name);
+        return flattenSpecSchema(schemas, schemas[name], seen);
+    }
+
+    (schema.allOf || []).forEach((part) => {
+        const inherited = flattenSpecSchema(schemas, part, seen);
+        inherited.properties.forEach((property, name) => result.properties.set(name, property));
+        inherited.required.forEach((name) => result.required.add(name));
+        result.enum = inherited.enum || result.enum;
+    });
+
+    Object.entries(schema.properties || {}).forEach(([name, property]) => result.properties.set(name, property));
+    (schema.required || []).forEach((name) => result.required.add(name));
+    if (Array.isArray(schema.enum)) {
+        result.enum = schema.enum;
+    }
+
+    return result;
+}
+
+function formatSchemaType(schema, depth = 0) {
+    if (!schema || typeof schema !== "object" || depth > 6) {
+        return "any";
+    }
+
+    if (schema.$ref) {
+        return getRefName(schema.$ref);
+    }
+
+    if (schema.type === "array") {
+        return `array<${formatSchemaType(schema.items, depth + 1)}>`;
+    }
+
+    const composite = schema.allOf || schema.oneOf || schema.anyOf;
+    if (Array.isArray(composite) && composite.length) {
+        return composite.map((part) => formatSchemaType(part, depth + 1)).join(schema.allOf ? " & " : " | ");
+    }
+
+    const label = schema.type || (schema.properties ? "object" : "any");
+    return schema.format ? `${label} (${schema.format})` : label;
+}
+
+function parseYaml(text = "") {
+    const lines = text
+        .replace(/^\uFEFF/, "")
+        .replace(/\r\n?/g, "\n")
+        .replace(/\t/g, "  ")
+        .split("\n")
+        .map((raw) => ({ indent: raw.length - raw.trimStart().length, content: raw.trim() }));
+    const cursor = { index: 0 };
+    return parseYamlNode(lines, cursor, 0);
+}
+
+function peekYamlLine(lines, cursor) {
+    while (cursor.index < lines.length) {
+        const { indent, content } = lines[cursor.index];
+        const isDirective = indent === 0 && (content === "---" || content.startsWith("%"));
+        if (content && !content.startsWith("#") && !isDirective) {
+            return lines[cursor.index];
+        }
+        cursor.index += 1;
+    }
+    return null;
+}
+
+function isYamlSequenceItem(content) {
+    return content === "-" || content.startsWith("- ");
+}
+
+function parseYamlNode(lines, cursor, minIndent) {
+    const line = peekYamlLine(lines, cursor);
+    if (!line || line.indent < minIndent) {
+        return null;
+    }
+
+    if (isYamlSequenceItem(line.content)) {
+        return parseYamlSequence(lines, cursor, line.indent);
+    }
+
+    if (findYamlMappingColon(line.content) !== -1) {
+        return parseYamlMapping(lines, cursor, line.indent);
+    }
+
+    cursor.index += 1;
+    return parseYamlValue(line.content, lines, cursor, line.indent - 1, false);
+}
+
+function parseYamlMapping(lines, cursor, indent) {
+    const result = {};
+
+    for (let line = peekYamlLine(lines, cursor); line && line.indent === indent && !isYamlSequenceItem(line.content); line = peekYamlLine(lines, cursor)) {
+        const colon = findYamlMappingColon(line.content);
+        if (colon === -1) {
+            throw new Error(`Unable to parse YAML near line ${cursor.index + 1}.`);
+        }
+
+        const rawKey = line.content.slice(0, colon).trim();
+        const key = /^["']/.test(rawKey) ? readYamlQuoted(rawKey, 0)?.value ?? rawKey : rawKey;
+        cursor.index += 1;
+        result[key] = parseYamlValue(stripYamlComment(line.content.slice(colon + 1)).trim(), lines, cursor, indent, true);
+    }
+
+    return result;
+}
+
+function parseYamlSequence(lines, cursor, indent) {
+    const result = [];
+
+    for (let line = peekYamlLine(lines, cursor); line && line.indent === indent && isYamlSequenceItem(line.content); line = peekYamlLine(lines, cursor)) {
+        const rest = line.content.slice(1).trimStart();
+
+        if (!rest || rest.startsWith("#")) {
+            cursor.index += 1;
+            result.push(parseYamlValue("", lines, cursor, indent, false));
+        } else if (isYamlSequenceItem(rest) || findYamlMappingColon(rest) !== -1) {
+            const nestedIndent = indent + line.content.length - rest.length;
+            lines[cursor.index] = { indent: nestedIndent, content: rest };
+            result.push(parseYamlNode(lines, cursor, nestedIndent));
+        } else {
+            cursor.index += 1;
+            result.push(parseYamlValue(stripYamlComment(rest).trim(), lines, cursor, indent, false));
+        }
+    }
+
+    return result;
+}
+
+function parseYamlValue(rawValue, lines, cursor, indent, allowSiblingSequence) {
+    const value = rawValue.replace(/^(?:[&!]\S*\s*)+/, "");
+
+    if (!value) {
+        const next = peekYamlLine(lines, cursor);
+        if (next && next.indent > indent) {
+            return parseYamlNode(lines, cursor, indent + 1);
+        }
+        if (next && allowSiblingSequence && next.indent === indent && isYamlSequenceItem(next.content)) {
+            return parseYamlSequence(lines, cursor, indent);
+        }
+        return null;
+    }
+
+    if (/^[|>][-+0-9]*$/.test(value)) {
+        return parseYamlBlockScalar(value, lines, cursor, indent);
+    }
+
+    const continuation = [value];
+    while (cursor.index < lines.length) {
+        const line = lines[cursor.index];
+        if (line.content && line.indent <= indent) {
+            break;
+        }
+        if (!line.content.startsWith("#")) {
+            continuation.push(line.content);
+        }
+        cursor.index += 1;
+    }
+
+    while (continuation.length > 1 && !continuation[continuation.length - 1]) {
+        continuation.pop();
+    }
+
+    if (value.startsWith("[") || value.startsWith("{")) {
+        return parseYamlFlow(continuation.map(stripYamlComment).join(" "));
+    }
+
+    if (value.startsWith("\"") || value.startsWith("'")) {
+        const quoted = readYamlQuoted(foldYamlLines(continuation), 0);
+        return quoted ? quoted.value : value;
+    }
+
+    return resolveYamlScalar(foldYamlLines(continuation.map(stripYamlComment)));
+}
+
+function parseYamlBlockScalar(header, lines, cursor, indent) {
+    const collected = [];
+    let blockIndent = -1;
+
+    while (cursor.index < lines.length) {
+        const line = lines[cursor.index];
+        if (line.content) {
+            if (blockIndent === -1) {
+                blockIndent = line.indent;
+            }
+            if (line.indent < blockIndent || line.indent <= indent) {
+                break;
+            }
+        }
+        collected.push(line.content ? `${" ".repeat(line.indent - blockIndent)}${line.content}` : "");
+        cursor.index += 1;
+    }
+
+    let trailing = 0;
+    while (collected.length && !collected[collected.length - 1]) {
+        collected.pop();
+        trailing += 1;
+    }
+
+    let text = "";
+    if (header.startsWith(">")) {
+        collected.forEach((line, index) => {
+            const previous = collected[index - 1];
+            if (index === 0) {
+                text = line;
+            } else if (!line) {
+                text += "\n";
+            } else if (!previous) {
+                text += line;
+            } else if (line.startsWith(" ") || previous.startsWith(" ")) {
+                text += `\n${line}`;
+            } else {
+                text += ` ${line}`;
+            }
+        });
+    } else {
+        text = collected.join("\n");
+    }
+
+    if (header.includes("-") || !text) {
+        return text;
+    }
+
+    return header.includes("+") ? `${text}\n${"\n".repeat(trailing)}` : `${text}\n`;
+}
+
+function foldYamlLines(parts) {
+    let text = "";
+    let breaks = 0;
+
+    parts.forEach((part) => {
+        if (!part) {
+            breaks += 1;
+            return;
+        }
+        if (text) {
+            text += breaks ? "\n".repeat(breaks) : " ";
+        }
+        text += part;
+        breaks = 0;
+    });
+
+    return text;
+}
+
+function findYamlMappingColon(content) {
+    if (content.startsWith("[") || content.startsWith("{")) {
+        return -1;
+    }
+
+    let start = 0;
+    if (content.startsWith("\"") || content.startsWith("'")) {
+        const quoted = readYamlQuoted(content, 0);
+        if (!quoted) {
+            return -1;
+        }
+        start = quoted.end;
+    }
+
+    for (let index = start; index < content.length; index += 1) {
+        const char = content[index];
+        if (char === "#" && index > 0 && /\s/.test(content[index - 1])) {
+            return -1;
+        }
+        if (char === ":" && (index === content.length - 1 || /\s/.test(content[index + 1]))) {
+            return index;
+        }
+        if (start && !/\s/.test(char)) {
+            return -1;
+        }
+    }
+
+    return -1;
+}
+
+function stripYamlComment(text) {
+    let quote = "";
+
+    for (let index = 0; index < text.length; index += 1) {
+        const char = text[index];
+        const previous = index ? text[index - 1] : " ";
+
+        if (quote) {
+            if (char === "\\" && quote === "\"") {
+                index += 1;
+            } else if (char === quote) {
+                quote = "";
+            }
+        } else if ((char === "\"" || char === "'") && /[\s[{,:]/.test(previous)) {
+            quote = char;
+        } else if (char === "#" && /\s/.test(previous)) {
+            return text.slice(0, index);
+        }
+    }
+
+    return text;
+}
+
+function readYamlQuoted(text, start) {
+    const quote = text[start];
+    let value = "";
+
+    for (let index = start + 1; index < text.length; index += 1) {
+        const char = text[index];
+
+        if (quote === "'") {
+            if (char === "'" && text[index + 1] === "'") {
+                value += "'";
+                index += 1;
+            } else if (char === "'") {
+                return { value, end: index + 1 };
+            } else {
+                value += char;
+            }
+            continue;
+        }
+
+        if (char === "\"") {
+            return { value, end: index + 1 };
+        }
+
+        if (char !== "\\") {
+            value += char;
+            continue;
+        }
+
+        const next = text[index + 1];
+        index += 1;
+        if (next === "x" || next === "u" || next === "U") {
+            const length = { x: 2, u: 4, U: 8 }[next];
+            value += String.fromCodePoint(parseInt(text.slice(index + 1, index + 1 + length), 16));
+            index += length;
+        } else {
+            value += { n: "\n", t: "\t", r: "\r", "0": "\0", " ": " ", "/": "/", "\"": "\"", "\\": "\\" }[next] ?? next;
+        }
+    }
+
+    return null;
+}
+
+function parseYamlFlow(text) {
+    let position = 0;
+
+    const skipSpace = () => {
+        while (position < text.length && /\s/.test(text[position])) {
+            position += 1;
+        }
+    };
+
+    const readPlain = (stops) => {
+        const start = position;
+        while (position < text.length && !stops.includes(text[position])) {
+            position += 1;
+        }
+        return text.slice(start, position).trim();
+    };
+
+    const readItem = (stops) => {
+        skipSpace();
+        const char = text[position];
+
+        if (char === "[" || char === "{") {
+            const isList = char === "[";
+            const closing = isList ? "]" : "}";
+            const collection = isList ? [] : {};
+            position += 1;
+            skipSpace();
+
+            while (position < text.length && text[position] !== closing) {
+                const before = position;
+                if (isList) {
+                    collection.push(readItem([",", "]"]));
+                } else {
+                    const key = readItem([":", ",", "}"]);
+                    skipSpace();
+                    let entryValue = null;
+                    if (text[position] === ":") {
+                        position += 1;
+                        entryValue = readItem([",", "}"]);
+                    }
+                    collection[key] = entryValue;
+                }
+                skipSpace();
+                if (text[position] === ",") {
+                    position += 1;
+                    skipSpace();
+                }
+                if (position === before) {
+                    position += 1;
+                }
+            }
+
+            position += 1;
+            return collection;
+        }
+
+        if (char === "\"" || char === "'") {
+            const quoted = readYamlQuoted(text, position);
+            if (quoted) {
+                position = quoted.end;
+                return quoted.value;
+            }
+        }
+
+        return resolveYamlScalar(readPlain(stops));
+    };
+
+    return readItem([]);
+}
+
+function resolveYamlScalar(value) {
+    if (/^(?:~|null|Null|NULL)?$/.test(value)) {
+        return null;
+    }
+    if (/^(?:true|True|TRUE)$/.test(value)) {
+        return true;
+    }
+    if (/^(?:false|False|FALSE)$/.test(value)) {
+        return false;
+    }
+    if (/^[-+]?(?:\d+|\d+\.\d*|\.\d+)(?:[eE][-+]?\d+)?$/.test(value)) {
+        return Number(value);
+    }
+    return value;
+}
+
+function applyFilters() {
+    const { documents: sorted, scores } = filterDocuments(state.documents, {
+        query: state.query,
+        facets: state.facets,
+        sort: state.currentSort
+    });
+    state.searchScores = scores;
+
+    const watched = new Set(state.watchlist.map((entry) => entry.id));
+    state.filtered = [...sorted.filter((doc) => watched.has(doc.id)), ...sorted.filter((doc) => !watched.has(doc.id))];
+
+    const maxPages = Math.ceil(Math.max(state.filtered.length, 1) / state.pageSize);
+    if (state.currentPage > maxPages) {
+        state.currentPage = 1;
+    }
+
+    updateFacetCounts();
+    renderRoute();
+}
+
+function getHighlightPattern(query) {
+    const sources = query.terms
+        .filter((term) => !term.negated)
+        .map((term) => (term.pattern
+            ? term.value.replace(/[^a-z0-9*?]/g, "").replace(/\*/g, "[a-z0-9]*").replace(/\?/g, "[a-z0-9]")
+            : escapeRegExp(term.value)))
+        .filter(Boolean)
+        .sort((a, b) => b.length - a.length);
+
+    return sources.length ? new RegExp(`(${sources.join("|")})`, "gi") : null;
+}
+
+function appendHighlighted(container, text, pattern) {
+    if (!pattern) {
+        container.textContent = text;
+        return;
+    }
+
+    text.split(pattern).forEach((part, index) => {
+        if (!part) {
+            return;
+        }
+        if (index % 2) {
+            const mark = document.createElement("mark");
+            mark.className = "search-highlight";
+            mark.textContent = part;
+            container.appendChild(mark);
+        } else {
+            container.append(part);
+        }
+    });
+}
+
+function exportResults(format, perVersion) {
+    const date = new Date().toISOString().slice(0, 10);
+    const table = getExportTable(state.filtered, perVersion);
+    const baseName = `tmf-apis${perVersion ? "-versions" : ""}-${date}`;
+
+    switch (format) {
+        case "json":
+            downloadFile(`${baseName}.json`, toExportJson(state.filtered, perVersion), "application/json");
+            break;
+        case "markdown":
+            downloadFile(`${baseName}.md`, toMarkdownTable(table), "text/markdown");
+            break;
+        case "excel":
+            downloadFile(`${baseName}-excel.csv`, `\uFEFF${toCsv(table, "\r\n")}`, "text/csv");
+            break;
+        case "csv":
+        default:
+            downloadFile(`${baseName}.csv`, toCsv(table), "text/csv");
+            break;
+    }
+}
+
+function downloadFile(filename, content, mimeType) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function toggleSelection(doc, selected) {
+    if (selected) {
+        state.selection.add(doc.id);
+    } else {
+        state.selection.delete(doc.id);
+    }
+    renderBulkPanel();
+}
+
+function renderBulkPanel() {
+    const panel = elements.bulkPanel;
+    if (!panel) {
+        return;
+    }
+
+    panel.innerHTML = "";
+    panel.hidden = !state.selection.size;
+    if (!state.selection.size) {
+        return;
+    }
+
+    const header = document.createElement("div");
+    header.className = "bulk-panel__header";
+
+    const title = document.createElement("h2");
+    title.className = "bulk-panel__title";
+    title.textContent = `${state.selection.size} API${state.selection.size === 1 ? "" : "s"} selected`;
+
+    const selectAll = document.createElement("button");
+    selectAll.type = "button";
+    selectAll.className = "facet-clear";
+    selectAll.textContent = `Select all ${state.filtered.length} results`;
+    selectAll.addEventListener("click", () => {
+        state.filtered.forEach((doc) => state.selection.add(doc.id));
+        renderIndex();
+    });
+
+    const clear = document.createElement("button");
+    clear.type = "button";
+    clear.className = "facet-clear";
+    clear.textContent = "Clear selection";
+    clear.addEventListener("click", () => {
+        state.selection.clear();
+        renderIndex();
+    });
+
+    header.append(title, selectAll, clear);
+
+    const types = document.createElement("fieldset");
+    types.className = "bulk-panel__types";
+    const legend = document.createElement("legend");
+    legend.textContent = "Asset types";
+    types.appendChild(legend);
+
+    const availableTypes = Array.from(new Set(state.documents.flatMap((doc) => doc.optionTypes))).sort(compareStrings);
+    availableTypes.forEach((type) => {
+        const label = document.createElement("label");
+        label.className = "bulk-panel__option";
+        const input = document.createElement("input");
+        input.type = "checkbox";
+        input.checked = state.bulk.types.has(type);
+        input.addEventListener("change", () => {
+            if (input.checked) {
+                state.bulk.types.add(type);
+            } else {
+                state.bulk.types.delete(type);
+            }
+            updateBulkCount();
+        });
+        label.append(input, document.createTextNode(type));
+        types.appendChild(label);
+    });
+
+    const scopeLabel = document.createElement("label");
+    scopeLabel.className = "version-compare__field";
+    scopeLabel.textContent = "Versions";
+    const scope = document.createElement("select");
+    [
+        ["latest", "Latest version only"],
+        ["all", "All versions"]
+    ].forEach(([value, text]) => {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = text;
+        scope.appendChild(option);
+    });
+    scope.value = state.bulk.scope;
+    scope.addEventListener("change", () => {
+        state.bulk.scope = scope.value;
+        updateBulkCount();
+    });
+    scopeLabel.appendChild(scope);
+
+    const actions = document.createElement("div");
+    actions.className = "bulk-panel__actions";
+
+    const count = document.createElement("p");
+    count.className = "bulk-panel__count";
+
+    const downloads = [
+        ["Shell script", () => downloadFile("tmf-assets.sh", toShellManifest(getDownloadManifest()), "text/x-shellscript")],
+        ["curl config", () => downloadFile("tmf-assets.curl", toCurlManifest(getDownloadManifest()), "text/plain")],
+        ["wget script", () => downloadFile("tmf-assets-wget.sh", toWgetManifest(getDownloadManifest()), "text/x-shellscript")],
+        ["JSON", () => downloadFile("tmf-assets.json", `${JSON.stringify(getDownloadManifest(), null, 2)}\n`, "application/json")],
+        ["ZIP", (button) => downloadBulkZip(button)]
+    ];
+    const buttons = downloads.map(([text, handler]) => {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "pager";
+        button.textContent = text;
+        button.addEventListener("click", () => handler(button));
+        return button;
+    });
+    actions.append(count, ...buttons);
+
+    const updateBulkCount = () => {
+        const total = getBulkManifest().length;
+        count.textContent = `${total} file${total === 1 ? "" : "s"}`;
+        buttons.forEach((button) => {
+            button.disabled = !total;
+        });
+    };
+    updateBulkCount();
+
+    panel.append(header, types, scopeLabel, actions);
+}
+
+function getBulkManifest(ids = state.selection, types = state.bulk.types, scope = state.bulk.scope) {
+    const entries = [];
+
+    ids.forEach((id) => {
+        const doc = state.documentMap.get(id);
+        if (!doc) {
+            return;
+        }
+
+        const versions = scope === "all" ? doc.versions : doc.versions.slice(0, 1);
+        versions.forEach((version) => {
+            version.options
+                .filter((option) => option.downloadUrl && types.has(option.type))
+                .forEach((option) => {
+                    entries.push({
+                        documentNumber: doc.documentNumber,
+                        apiName: doc.apiName,
+                        version: version.version,
+                        type: option.type,
+                        url: option.downloadUrl,
+                        path: [doc.documentNumber, version.version, option.type, getFileName(option.downloadUrl)]
+                            .map((segment) => segment.replace(/[\\/:*?"<>|]+/g, "_"))
+                            .join("/")
+                    });
+                });
+        });
+    });
+
+    return entries;
+}
+
+function getDownloadManifest() {
+    return getBulkManifest().map((entry) => ({ ...entry, url: rewriteDownloadUrl(entry.url) }));
+}
+
+function getFileName(url = "") {
+    try {
+        const segments = new URL(url).pathname.split("/").filter(Boolean);
+        return decodeURIComponent(segments[segments.length - 1] || "download");
+    } catch (error) {
+        return "download";
+    }
+}
+
+function toShellManifest(entries, fetchCommand = (target, url) => `curl -fL --retry 3 -o ${target} ${url}`) {
+    const quote = (value) => `'${String(value).replace(/'/g, "'\\''")}'`;
+    const lines = ["#!/bin/sh", "set -eu", ""];
+
+    entries.forEach((entry) => {
+        const directory = entry.path.slice(0, entry.path.lastIndexOf("/"));
+        lines.push(`mkdir -p ${quote(directory)}`);
+        lines.push(fetchCommand(quote(entry.path), quote(entry.url)));
+    });
+
+    return `${lines.join("\n")}\n`;
+}
+
+function toCurlManifest(entries) {
+    const quote = (value) => `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"")}"`;
+    const lines = ["# Usage: curl --create-dirs -fL -K tmf-assets.curl", ""];
+
+    entries.forEach((entry) => {
+        lines.push(`url = ${quote(entry.url)}`, `output = ${quote(entry.path)}`, "");
+    });
+
+    return `${lines.join("\n")}`;
+}
+
+function toWgetManifest(entries) {
+    return toShellManifest(entries, (target, url) => `wget --tries=3 -O ${target} ${url}`);
+}
+
+async function downloadBulkZip(button) {
+    const entries = getBulkManifest();
+    const files = [];
+    const failures = [];
+
+    button.disabled = true;
+    toggleSpinner(true);
+
+    try {
+        for (const [index, entry] of entries.entries()) {
+            setStatus(`Fetching ${index + 1} of ${entries.length}: ${entry.path}`);
+            try {
+                files.push({ path: entry.path, data: await fetchAsset(entry.url) });
+            } catch (error) {
+                failures.push(entry);
+            }
+        }
+
+        if (failures.length) {
+            const report = failures.map((entry) => `${entry.path}\t${entry.url}`).join("\n");
+            files.push({ path: "FAILED.txt", data: new TextEncoder().encode(`${report}\n`) });
+        }
+
+        downloadFile("tmf-assets.zip", createZip(files), "application/zip");
+        setStatus(
+            failures.length
+                ? `ZIP built with ${files.length - 1} of ${entries.length} files. Failed downloads are listed in FAILED.txt.`
+                : `ZIP built with ${entries.length} files.`,
+            Boolean(failures.length)
+        );
+    } catch (error) {
+        setStatus(`Unable to build the ZIP: ${error.message}`, true);
+    } finally {
+        toggleSpinner(false);
+        button.disabled = false;
+    }
+}
+
+async function fetchAsset(url) {
+    let lastError = null;
+
+    for (const source of getSpecSources(url)) {
+        const startedAt = performance.now();
+        let status = 0;
+        try {
+            const response = await fetch(source, { mode: "cors" });
+            status = response.status;
+            if (!response.ok) {
+                throw new Error(`Request failed with ${response.status}`);
+            }
+
+            const data = new Uint8Array(await response.arrayBuffer());
+            recordDiagnostic("Asset", source, startedAt, status);
+            return data;
+        } catch (error) {
+            lastError = error;
+            recordDiagnostic("Asset", source, startedAt, status, error);
+        }
+    }
+
+    throw lastError || new Error("Unable to reach the asset.");
+}
+
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const directory = [];
+    const usedPaths = new Set();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    let offset = 0;
+
+    files.forEach((file) => {
+        const name = encoder.encode(getUniqueZipPath(file.path, usedPaths));
+        const crc = getCrc32(file.data);
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true);
+        header.setUint16(4, 20, true);
+        header.setUint16(6, 0x0800, true);
+        header.setUint16(10, dosTime, true);
+        header.setUint16(12, dosDate, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, file.data.length, true);
+        header.setUint32(22, file.data.length, true);
+        header.setUint16(26, name.length, true);
+        chunks.push(new Uint8Array(header.buffer), name, file.data);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);
+        entry.setUint16(4, 20, true);
+        entry.setUint16(6, 20, true);
+        entry.setUint16(8, 0x0800, true);
+        entry.setUint16(12, dosTime, true);
+        entry.setUint16(14, dosDate, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, file.data.length, true);
+        entry.setUint32(24, file.data.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);
+        directory.push(new Uint8Array(entry.buffer), name);
+
+        offset += 30 + name.length + file.data.length;
+    });
+
+    const directorySize = directory.reduce((total, chunk) => total + chunk.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...chunks, ...directory, new Uint8Array(end.buffer)]);
+}
+
+function getUniqueZipPath(path, usedPaths) {
+    const extensionStart = path.lastIndexOf(".") > path.lastIndexOf("/") ? path.lastIndexOf(".") : path.length;
+    let candidate = path;
+    for (let copy = 2; usedPaths.has(candidate.toLowerCase()); copy += 1) {
+        candidate = `${path.slice(0, extensionStart)} (${copy})${path.slice(extensionStart)}`;
+    }
+    usedPaths.add(candidate.toLowerCase());
+    return candidate;
+}
+
+function getCrc32(data) {
+    if (!getCrc32.table) {
+        getCrc32.table = Array.from({ length: 256 }, (_, index) => {
+            let value = index;
+            for (let bit = 0; bit < 8; bit += 1) {
+                value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1;
+            }
+            return value >>> 0;
+        });
+    }
+
+    let crc = 0xffffffff;
+    for (let index = 0; index < data.length; index += 1) {
+        crc = getCrc32.table[(crc ^ data[index]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function readZipEntries(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let end = -1;
+    for (let offset = bytes.length - 22; offset >= Math.max(0, bytes.length - 65557); offset -= 1) {
+        if (view.getUint32(offset, true) === 0x06054b50) {
+            end = offset;
+            break;
+        }
+    }
+    if (end === -1) {
+        throw new Error("The ZIP archive is incomplete or damaged.");
+    }
+
+    const entries = [];
+    let offset = view.getUint32(end + 16, true);
+    for (let index = view.getUint16(end + 10, true); index > 0; index -= 1) {
+        if (view.getUint32(offset, true) !== 0x02014b50) {
+            throw new Error("The ZIP archive is incomplete or damaged.");
+        }
+
+        const nameLength = view.getUint16(offset + 28, true);
+        entries.push({
+            name: new TextDecoder().decode(bytes.subarray(offset + 46, offset + 46 + nameLength)),
+            method: view.getUint16(offset + 10, true),
+            size: view.getUint32(offset + 20, true),
+            localOffset: view.getUint32(offset + 42, true)
+        });
+        offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+    }
+
+    return entries;
+}
+
+async function readZipEntry(bytes, entry) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const start = entry.localOffset + 30 + view.getUint16(entry.localOffset + 26, true) + view.getUint16(entry.localOffset + 28, true);
+    const data = bytes.subarray(start, start + entry.size);
+
+    if (entry.method === 0) {
+        return data;
+    }
+    if (entry.method !== 8 || typeof DecompressionStream === "undefined") {
+        throw new Error(`Unable to extract ${entry.name}: unsupported compression in this browser.`);
+    }
+
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function toggleCompare(doc) {
+    const index = state.compare.indexOf(doc.id);
+    if (index === -1) {
+        if (state.compare.length >= MAX_COMPARE) {
+            setStatus(`You can compare up to ${MAX_COMPARE} APIs at a time.`, true);
+            return;
+        }
+        state.compare.push(doc.id);
+    } else {
+        state.compare.splice(index, 1);
+    }
+
+    renderCompareTray();
+    renderIndex();
+}
+
+function renderCompareTray() {
+    const tray = elements.compareTray;
+    if (!tray) {
+        return;
+    }
+
+    tray.innerHTML = "";
+    tray.hidden = !state.compare.length || state.route.view === "compare";
+    if (tray.hidden) {
+        return;
+    }
+
+    const label = document.createElement("span");
+    label.className = "compare-tray__label";
+    label.textContent = "Compare";
+
+    const list = document.createElement("ul");
+    list.className = "compare-tray__list";
+    state.compare.forEach((id) => {
+        const doc = state.documentMap.get(id);
+        if (!doc) {
+            return;
+        }
+
+        const item = document.createElement("li");
+        item.className = "compare-tray__item";
+        item.textContent = doc.documentNumber;
+        item.title = doc.apiName;
+
+        const remove = document.createElement("button");
+        remove.type = "button";
+        remove.className = "compare-tray__remove";
+        remove.setAttribute("aria-label", `Remove ${doc.documentNumber} from comparison`);
+        remove.textContent = "×";
+        remove.addEventListener("click", () => toggleCompare(doc));
+        item.appendChild(remove);
+        list.appendChild(item);
+    });
+
+    let open;
+    if (state.compare.length < 2) {
+        open = document.createElement("button");
+        open.type = "button";
+        open.className = "pager";
+        open.disabled = true;
+        open.textContent = "Add another API to compare";
+    } else {
+        open = createRouteLink(`Compare ${state.compare.length} APIs`, { view: "compare", ids: [...state.compare] }, "pager");
+    }
+
+    const clear = document.createElement("button");
+    clear.type = "button";
+    clear.className = "facet-clear";
+    clear.textContent = "Clear";
+    clear.addEventListener("click", () => {
+        state.compare = [];
+        renderCompareTray();
+        renderIndex();
+    });
+
+    tray.append(label, list, open, clear);
+}
+
+function renderCompare(docs) {
+    if (!elements.detailView) {
+        return;
+    }
+
+    elements.detailView.innerHTML = "";
+    elements.detailView.dataset.document = `compare:${docs.map((doc) => doc.id).join(",")}`;
+    delete elements.detailView.dataset.target;
+
+    const container = document.createElement("article");
+    container.className = "detail-card compare-view";
+
+    const header = document.createElement("header");
+    header.className = "detail-card__header";
+
+    const title = document.createElement("h2");
+    title.className = "detail-card__title";
+    title.textContent = `Comparing ${docs.length} APIs`;
+
+    const closeButton = document.createElement("button");
+    closeButton.type = "button";
+    closeButton.className = "detail-card__close";
+    closeButton.setAttribute("aria-label", "Close comparison");
+    closeButton.textContent = "×";
+    closeButton.addEventListener("click", () => navigateToIndex());
+
+    header.append(title, closeButton);
+
+    const toggleLabel = document.createElement("label");
+    toggleLabel.className = "version-compare__toggle";
+    const toggle = document.createElement("input");
+    toggle.type = "checkbox";
+    toggleLabel.append(toggle, document.createTextNode("Only show rows that differ"));
+
+    const rows = getCompareRows(docs);
+    const table = document.createElement("table");
+    table.className = "spec-table compare-table";
+
+    const caption = document.createElement("caption");
+    const differing = rows.filter((row) => row.differs).length;
+    caption.textContent = `${differing} of ${rows.length} attributes differ`;
+    table.appendChild(caption);
+
+    const head = document.createElement("thead");
+    const headRow = document.createElement("tr");
+    const corner = document.createElement("th");
+    corner.scope = "col";
+    corner.textContent = "Attribute";
+    headRow.appendChild(corner);
+    docs.forEach((doc) => {
+        const cell = document.createElement("th");
+        cell.scope = "col";
+        cell.appendChild(createRouteLink(doc.documentNumber, { view: "detail", id: doc.id }, "compare-table__link"));
+
+        const remaining = docs.filter((other) => other !== doc).map((other) => other.id);
+        if (remaining.length >= 2) {
+            const remove = document.createElement("button");
+            remove.type = "button";
+            remove.className = "compare-tray__remove";
+            remove.setAttribute("aria-label", `Remove ${doc.documentNumber} from comparison`);
+            remove.textContent = "×";
+            remove.addEventListener("click", () => {
+                state.compare = remaining;
+                navigateTo({ view: "compare", ids: remaining });
+            });
+            cell.appendChild(remove);
+        }
+        headRow.appendChild(cell);
+    });
+    head.appendChild(headRow);
+
+    const body = document.createElement("tbody");
+    rows.forEach((row) => {
+        const tableRow = document.createElement("tr");
+        if (row.differs) {
+            tableRow.classList.add("compare-table__row--diff");
+        }
+
+        const label = document.createElement("th");
+        label.scope = "row";
+        label.textContent = row.label;
+        tableRow.appendChild(label);
+
+        row.values.forEach((values) => {
+            const cell = document.createElement("td");
+            if (row.boolean) {
+                cell.textContent = values.length ? "✓" : "—";
+                cell.className = values.length ? "compare-table__yes" : "compare-table__no";
+            } else if (!values.length) {
+                cell.textContent = "—";
+            } else {
+                values.forEach((value) => {
+                    const item = document.createElement("span");
+                    item.className = "compare-table__value";
+                    if (row.differs && !row.shared.has(value)) {
+                        item.classList.add("compare-table__value--unique");
+                    }
+                    item.textContent = value;
+                    cell.appendChild(item);
+                });
+            }
+            tableRow.appendChild(cell);
+        });
+
+        body.appendChild(tableRow);
+    });
+
+    table.append(head, body);
+    toggle.addEventListener("change", () => table.classList.toggle("compare-table--diff-only", toggle.checked));
+
+    const wrapper = document.createElement("div");
+    wrapper.className = "compare-table__wrapper";
+    wrapper.appendChild(table);
+
+    container.append(header, toggleLabel, wrapper);
+    elements.detailView.appendChild(container);
+}
+
+function getCompareRows(docs) {
+    const assetTypes = Array.from(new Set(docs.flatMap((doc) => doc.optionTypes))).sort(compareStrings);
+    const rows = [
+        { label: "Name", values: docs.map((doc) => [doc.apiName]) },
+        { label: "Categories", values: docs.map((doc) => doc.categories) },
+        { label: "Contexts", values: docs.map((doc) => doc.contexts) },
+        { label: "Lifecycle", values: docs.map((doc) => doc.lifecycle) },
+        { label: "Latest version", values: docs.map((doc) => (doc.versions[0] ? [doc.versions[0].version] : [])) },
+        { label: "Versions", values: docs.map((doc) => doc.versions.map((version) => version.version)) },
+        { label: "Release trains", values: docs.map((doc) => doc.releases) },
+        { label: "Latest published", values: docs.map((doc) => (doc.versions[0]?.published ? [doc.versions[0].published] : [])) },
+        ...assetTypes.map((type) => ({
+            label: `Asset: ${type}`,
+            boolean: true,
+            values: docs.map((doc) => (doc.optionTypes.includes(type) ? [type] : []))
+        }))
+    ];
+
+    return rows.map((row) => {
+        const values = row.values.map((list) => Array.from(new Set(list.filter(Boolean))));
+        const signatures = values.map((list) => [...list].sort(compareStrings).join("\n"));
+        const shared = new Set(values[0].filter((value) => values.every((list) => list.includes(value))));
+        return { ...row, values, shared, differs: new Set(signatures).size > 1 };
+    });
+}
+
+function renderChanges() {
+    if (!elements.detailView) {
+        return;
+    }
+
+    const { status, lastChange } = state.changes;
+    elements.detailView.innerHTML = "";
+    elements.detailView.dataset.document = getChangesViewKey();
+    delete elements.detailView.dataset.target;
+
+    const container = document.createElement("article");
+    container.className = "detail-card changes-view";
+
+    const header = document.createElement("header");
+    header.className = "detail-card__header";
+
+    const title = document.createElement("h2");
+    title.className = "detail-card__title";
+    title.textContent = "What's new";
+
+    const closeButton = document.createElement("button");
+    closeButton.type = "button";
+    closeButton.className = "detail-card__close";
+    closeButton.setAttribute("aria-label", "Close what's new");
+    closeButton.textContent = "×";
+    closeButton.addEventListener("click", () => navigateToIndex());
+
+    header.append(title, closeButton);
+    container.appendChild(header);
+
+    const summary = document.createElement("p");
+    summary.className = "version-compare__summary";
+    container.appendChild(summary);
+
+    if (status === "pending") {
+        summary.textContent = "Comparing the catalogue with your previous visit...";
+    } else if (status === "unavailable") {
+        summary.textContent = "Changes cannot be tracked because this browser does not allow local storage of the catalogue.";
+    } else if (!lastChange) {
+        summary.textContent = `No changes detected since the catalogue was first recorded on ${formatTimestamp(state.changes.baselineAt)}.`;
+    } else {
+        const { changes } = lastChange;
+        summary.textContent = `${countCatalogueChanges(changes)} changes between ${formatTimestamp(lastChange.from)} and ${formatTimestamp(lastChange.to)}.`;
+
+        const actions = document.createElement("div");
+        actions.className = "download-actions";
+        [
+            ["Export Markdown", () => downloadFile("tmf-whats-new.md", toChangesMarkdown(lastChange), "text/markdown")],
+            ["Export JSON", () => downloadFile("tmf-whats-new.json", `${JSON.stringify(lastChange, null, 2)}\n`, "application/json")]
+        ].forEach(([text, handler]) => {
+            const button = document.createElement("button");
+            button.type = "button";
+            button.className = "pager";
+            button.textContent = text;
+            button.addEventListener("click", handler);
+            actions.appendChild(button);
+        });
+        container.appendChild(actions);
+
+        getChangeSections(changes).forEach((section) => {
+            if (!section.items.length) {
+                return;
+            }
+
+            const group = document.createElement("section");
+            group.className = "changes-view__section";
+
+            const heading = document.createElement("h3");
+            heading.textContent = `${section.title} (${section.items.length})`;
+
+            const list = document.createElement("ul");
+            list.className = "changes-view__list";
+            section.items.forEach((item) => {
+                const entry = document.createElement("li");
+                if (item.route) {
+                    entry.appendChild(createRouteLink(item.label, item.route, "changes-view__link"));
+                } else {
+                    entry.appendChild(document.createTextNode(item.label));
+                }
+                if (item.detail) {
+                    const detail = document.createElement("span");
+                    detail.className = "changes-view__detail";
+                    detail.textContent = item.detail;
+                    entry.appendChild(detail);
+                }
+                list.appendChild(entry);
+            });
+
+            group.append(heading, list);
+            container.appendChild(group);
+        });
+    }
+
+    elements.detailView.appendChild(container);
+}
+
+function getChangeSections(changes) {
+    const versionRoute = (item) => (state.documentMap.has(item.id) ? { view: "detail", id: item.id, version: item.version } : null);
+
+    return [
+        {
+            title: "New APIs",
+            items: changes.addedApis.map((item) => ({
+                label: `${item.documentNumber} ${item.apiName}`,
+                detail: item.versions.join(", "),
+                route: { view: "detail", id: item.id }
+            }))
+        },
+        {
+            title: "Removed APIs",
+            items: changes.removedApis.map((item) => ({ label: `${item.documentNumber} ${item.apiName}` }))
+        },
+        {
+            title: "New versions",
+            items: changes.addedVersions.map((item) => ({
+                label: `${item.documentNumber} ${item.version}`,
+                detail: [item.lifecycle, item.published].filter(Boolean).join(", "),
+                route: versionRoute(item)
+            }))
+        },
+        {
+            title: "Removed versions",
+            items: changes.removedVersions.map((item) => ({ label: `${item.documentNumber} ${item.version}`, detail: item.lifecycle }))
+        },
+        {
+            title: "Lifecycle changes",
+            items: changes.lifecycleChanges.map((item) => ({
+                label: `${item.documentNumber} ${item.version}`,
+                detail: `${item.from || "Unknown"} → ${item.to || "Unknown"}`,
+                route: versionRoute(item)
+            }))
+        },
+        {
+            title: "Download URL changes",
+            items: changes.urlChanges.map((item) => ({
+                label: `${item.documentNumber} ${item.version} ${item.type}`,
+                detail: item.change === "changed" ? `${item.from} → ${item.to}` : `${item.change}: ${item.from || item.to}`,
+                route: versionRoute(item)
+            }))
+        }
+    ];
+}
+
+function toChangesMarkdown(lastChange) {
+    const lines = [
+        "# TMF API catalogue changes",
+        "",
+        `Changes between ${formatTimestamp(lastChange.from)} and ${formatTimestamp(lastChange.to)}.`
+    ];
+
+    getChangeSections(lastChange.changes).forEach((section) => {
+        if (!section.items.length) {
+            return;
+        }
+
+        lines.push("", `## ${section.title}`, "");
+        section.items.forEach((item) => {
+            lines.push(`- **${item.label}**${item.detail ? ` — ${item.detail}` : ""}`);
+        });
+    });
+
+    return `${lines.join("\n")}\n`;
+}
+
+function getChangesViewKey() {
+    return `changes:${state.changes.status}:${state.changes.lastChange?.to || ""}`;
+}
+
+function updateChangesLink() {
+    if (!elements.changesCount) {
+        return;
+    }
+
+    const total = countCatalogueChanges(state.changes.lastChange?.changes);
+    elements.changesCount.textContent = String(total);
+    elements.changesCount.hidden = !total;
+}
+
+function formatTimestamp(value = "") {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? "an unknown date" : date.toLocaleString();
+}
+
+function loadWatchlist() {
+    try {
+        return normaliseWatchlist(JSON.parse(localStorage.getItem(WATCHLIST_KEY) || "[]"));
+    } catch (error) {
+        console.warn("Ignoring an unreadable watchlist", error);
+        return [];
+    }
+}
+
+function normaliseWatchlist(value) {
+    const entries = Array.isArray(value) ? value : value?.apis;
+    if (!Array.isArray(entries)) {
+        throw new Error("Expected a list of watched APIs.");
+    }
+
+    const byKey = new Map();
+    entries.forEach((entry) => {
+        const documentNumber = String(entry?.documentNumber || "").trim();
+        const version = String(entry?.version || "").trim();
+        if (!documentNumber || !version) {
+            return;
+        }
+
+        const known = state.documents.find((doc) => doc.documentNumber.toLowerCase() === documentNumber.toLowerCase());
+        const id = known?.id || entry.id || createSlug(documentNumber);
+        byKey.set(getWatchKey({ id, version }), {
+            id,
+            documentNumber: known?.documentNumber || documentNumber,
+            version,
+            assets: Array.isArray(entry.assets) ? entry.assets.map(String) : null,
+            addedAt: entry.addedAt || new Date().toISOString()
+        });
+    });
+
+    return Array.from(byKey.values());
+}
+
+function saveWatchlist() {
+    localStorage.setItem(WATCHLIST_KEY, JSON.stringify(state.watchlist));
+    updateWatchlistLink();
+}
+
+function getWatchKey(entry) {
+    return `${entry.id}@${entry.version}`;
+}
+
+function getWatchEntries(doc) {
+    return state.watchlist.filter((entry) => entry.id === doc.id);
+}
+
+function toggleWatch(doc, version) {
+    const key = getWatchKey({ id: doc.id, version: version.version });
+    const watched = state.watchlist.some((entry) => getWatchKey(entry) === key);
+    state.watchlist = state.watchlist.filter((entry) => getWatchKey(entry) !== key);
+
+    if (!watched) {
+        state.watchlist.push({
+            id: doc.id,
+            documentNumber: doc.documentNumber,
+            version: version.version,
+            assets: Array.from(new Set(version.options.map((option) => option.type))).sort(compareStrings),
+            addedAt: new Date().toISOString()
+        });
+    }
+
+    saveWatchlist();
+    updateWatchButtons(doc);
+    applyFilters();
+}
+
+function updateWatchButtons(doc) {
+    const watchedVersions = new Set(getWatchEntries(doc).map((entry) => entry.version));
+    elements.detailView?.querySelectorAll(".version-card__watch").forEach((button) => {
+        const isWatched = watchedVersions.has(button.dataset.version);
+        button.setAttribute("aria-pressed", String(isWatched));
+        button.textContent = isWatched ? "✓ We implement this" : "We implement this";
+    });
+}
+
+function getAdvisories(entry) {
+    const doc = state.documentMap.get(entry.id);
+    if (!doc) {
+        return [{ severity: "error", message: `${entry.documentNumber} is no longer listed in the catalogue.` }];
+    }
+
+    const version = findRouteVersion(doc, entry.version);
+    if (!version) {
+        return [{ severity: "error", message: `${entry.version} is no longer listed for ${doc.documentNumber}.` }];
+    }
+
+    const advisories = [];
+    const newerProduction = doc.versions.filter((candidate) => (
+        compareVersions(candidate.version, version.version) > 0
+        && candidate.sources.some((source) => source.lifecycle === "Production")
+    ));
+    if (newerProduction.length) {
+        advisories.push({
+            severity: "warning",
+            message: `Newer Production version${newerProduction.length === 1 ? "" : "s"} available: ${newerProduction.map((candidate) => candidate.version).join(", ")}.`,
+            route: { view: "detail", id: doc.id, version: newerProduction[0].version }
+        });
+    }
+
+    if (version.categories.includes("Historic")) {
+        advisories.push({
+            severity: version.categories.length === 1 ? "error" : "warning",
+            message: version.categories.length === 1
+                ? `${version.version} is now only listed under Historic.`
+                : `${version.version} is also listed under Historic.`
+        });
+    }
+
+    const currentAssets = new Set(version.options.map((option) => option.type));
+    const lostAssets = (entry.assets || []).filter((type) => !currentAssets.has(type));
+    if (lostAssets.length) {
+        advisories.push({ severity: "warning", message: `${version.version} no longer provides: ${lostAssets.join(", ")}.` });
+    }
+
+    return advisories;
+}
+
+function renderAdvisories() {
+    if (!elements.detailView) {
+        return;
+    }
+
+    elements.detailView.innerHTML = "";
+    elements.detailView.dataset.document = "advisories";
+    delete elements.detailView.dataset.target;
+
+    const container = document.createElement("article");
+    container.className = "detail-card advisories-view";
+
+    const header = document.createElement("header");
+    header.className = "detail-card__header";
+
+    const title = document.createElement("h2");
+    title.className = "detail-card__title";
+    title.textContent = "Watchlist";
+
+    const closeButton = document.createElement("button");
+    closeButton.type = "button";
+    closeButton.className = "detail-card__close";
+    closeButton.setAttribute("aria-label", "Close watchlist");
+    closeButton.textContent = "×";
+    closeButton.addEventListener("click", () => navigateToIndex());
+
+    header.append(title, closeButton);
+
+    const actions = document.createElement("div");
+    actions.className = "download-actions";
+
+    const exportButton = document.createElement("button");
+    exportButton.type = "button";
+    exportButton.className = "pager";
+    exportButton.textContent = "Export JSON";
+    exportButton.disabled = !state.watchlist.length;
+    exportButton.addEventListener("click", () => {
+        const payload = { exportedAt: new Date().toISOString(), apis: state.watchlist };
+        downloadFile("tmf-watchlist.json", `${JSON.stringify(payload, null, 2)}\n`, "application/json");
+    });
+
+    const importLabel = document.createElement("label");
+    importLabel.className = "pager advisories-view__import";
+    importLabel.textContent = "Import JSON";
+    const importInput = document.createElement("input");
+    importInput.type = "file";
+    importInput.accept = "application/json,.json";
+    importInput.className = "sr-only";
+    importInput.addEventListener("change", () => {
+        const [file] = importInput.files || [];
+        if (file) {
+            importWatchlist(file);
+        }
+        importInput.value = "";
+    });
+    importLabel.appendChild(importInput);
+    actions.append(exportButton, importLabel);
+
+    const summary = document.createElement("p");
+    summary.className = "version-compare__summary";
+
+    container.append(header, summary, actions);
+
+    if (!state.watchlist.length) {
+        summary.textContent = "No APIs are on the watchlist yet. Open an API and mark the version your team implements.";
+        elements.detailView.appendChild(container);
+        return;
+    }
+
+    const results = state.watchlist
+        .map((entry) => ({ entry, advisories: getAdvisories(entry) }))
+        .sort((a, b) => b.advisories.length - a.advisories.length
+            || compareStrings(a.entry.documentNumber, b.entry.documentNumber)
+            || compareVersions(b.entry.version, a.entry.version));
+    const flagged = results.filter((result) => result.advisories.length).length;
+    summary.textContent = `${flagged} of ${results.length} watched API versions need attention.`;
+
+    const list = document.createElement("ul");
+    list.className = "advisories-view__list";
+    results.forEach(({ entry, advisories }) => {
+        const item = document.createElement("li");
+        item.className = "advisories-view__item";
+
+        const heading = document.createElement("div");
+        heading.className = "advisories-view__heading";
+        const doc = state.documentMap.get(entry.id);
+        if (doc) {
+            heading.appendChild(createRouteLink(`${doc.documentNumber} ${doc.apiName}`, { view: "detail", id: doc.id, version: entry.version }, "changes-view__link"));
+        } else {
+            heading.appendChild(document.createTextNode(entry.documentNumber));
+        }
+        heading.appendChild(createBadge(entry.version));
+
+        const remove = document.createElement("button");
+        remove.type = "button";
+        remove.className = "facet-clear";
+        remove.textContent = "Remove";
+        remove.addEventListener("click", () => {
+            state.watchlist = state.watchlist.filter((candidate) => getWatchKey(candidate) !== getWatchKey(entry));
+            saveWatchlist();
+            delete elements.detailView.dataset.document;
+            applyFilters();
+        });
+        heading.appendChild(remove);
+        item.appendChild(heading);
+
+        if (!advisories.length) {
+            const ok = document.createElement("p");
+            ok.className = "advisories-view__ok";
+            ok.textContent = "Up to date.";
+            item.appendChild(ok);
+        } else {
+            const notes = document.createElement("ul");
+            notes.className = "advisories-view__notes";
+            advisories.forEach((advisory) => {
+                const note = document.createElement("li");
+                const badge = createBadge(advisory.severity);
+                badge.classList.add(advisory.severity === "error" ? "badge--breaking" : "badge--warning");
+                note.appendChild(badge);
+                if (advisory.route) {
+                    note.appendChild(createRouteLink(advisory.message, advisory.route, "advisories-view__message"));
+                } else {
+                    const message = document.createElement("span");
+                    message.className = "advisories-view__message";
+                    message.textContent = advisory.message;
+                    note.appendChild(message);
+                }
+                notes.appendChild(note);
+            });
+            item.appendChild(notes);
+        }
+
+        list.appendChild(item);
+    });
+
+    container.appendChild(list);
+    elements.detailView.appendChild(container);
+}
+
+async function importWatchlist(file) {
+    try {
+        const imported = normaliseWatchlist(JSON.parse(await file.text()));
+        const merged = new Map(state.watchlist.map((entry) => [getWatchKey(entry), entry]));
+        imported.forEach((entry) => merged.set(getWatchKey(entry), entry));
+        state.watchlist = Array.from(merged.values());
+        saveWatchlist();
+        delete elements.detailView?.dataset.document;
+        applyFilters();
+        setStatus(`Imported ${imported.length} watched API version${imported.length === 1 ? "" : "s"}.`, false);
+    } catch (error) {
+        console.warn("Unable to import the watchlist", error);
+        setStatus("That file is not a valid watchlist export.", true);
+    }
+}
+
+function updateWatchlistLink() {
+    if (!elements.advisoryCount) {
+        return;
+    }
+
+    const total = state.documents.length
+        ? state.watchlist.reduce((count, entry) => count + getAdvisories(entry).length, 0)
+        : 0;
+    elements.advisoryCount.textContent = String(total);
+    elements.advisoryCount.hidden = !total;
+}
+
+async function loadCatalogueFile(file) {
+    const startedAt = performance.now();
+    const source = `file:${file.name}`;
+
+    try {
+        const data = JSON.parse(await file.text());
+        if (!data || typeof data !== "object" || Array.isArray(data)) {
+            throw new Error("Expected an object of categories keyed by name, like index.json.");
+        }
+
+        delete elements.detailView?.dataset.document;
+        applyCatalogue(data, source);
+        recordDiagnostic("Catalogue", source, startedAt, "");
+        setStatus(`Loaded ${state.documents.length} APIs from ${file.name}.`, false);
+    } catch (error) {
+        recordDiagnostic("Catalogue", source, startedAt, "", error);
+        setStatus(`${file.name} could not be loaded as a catalogue: ${error.message}`, true);
+    }
+}
+
+function renderSettings() {
+    if (!elements.detailView) {
+        return;
+    }
+
+    elements.detailView.innerHTML = "";
+    elements.detailView.dataset.document = "settings";
+    delete elements.detailView.dataset.target;
+
+    const container = document.createElement("article");
+    container.className = "detail-card settings-view";
+
+    const header = document.createElement("header");
+    header.className = "detail-card__header";
+
+    const title = document.createElement("h2");
+    title.className = "detail-card__title";
+    title.textContent = "Data sources";
+
+    const closeButton = document.createElement("button");
+    closeButton.type = "button";
+    closeButton.className = "detail-card__close";
+    closeButton.setAttribute("aria-label", "Close data sources");
+    closeButton.textContent = "×";
+    closeButton.addEventListener("click", () => navigateToIndex());
+
+    header.append(title, closeButton);
+
+    const current = document.createElement("p");
+    current.className = "version-compare__summary";
+    current.textContent = `Catalogue currently loaded from ${state.apiSource}.`;
+
+    const form = document.createElement("form");
+    form.className = "settings-view__form";
+
+    const createField = (labelText, control, hint) => {
+        const field = document.createElement("label");
+        field.className = "settings-view__field";
+        const label = document.createElement("span");
+        label.className = "settings-view__label";
+        label.textContent = labelText;
+        field.append(label, control);
+        if (hint) {
+            const help = document.createElement("span");
+            help.className = "settings-view__hint";
+            help.textContent = hint;
+            field.appendChild(help);
+        }
+        return field;
+    };
+    const createInput = (value, placeholder) => {
+        const input = document.createElement("input");
+        input.type = "text";
+        input.value = value;
+        input.placeholder = placeholder;
+        input.spellcheck = false;
+        return input;
+    };
+
+    const sources = document.createElement("textarea");
+    sources.rows = 4;
+    sources.spellcheck = false;
+    sources.value = state.settings.sources.join("\n");
+    const assetProxy = createInput(state.settings.assetProxy, "https://proxy.example/?{url}");
+    const rewriteFrom = createInput(state.settings.rewriteFrom, "https://tmf-open-api-table-documents.s3.eu-west-1.amazonaws.com");
+    const rewriteTo = createInput(state.settings.rewriteTo, "https://mirror.example.internal/tmf");
+
+    const actions = document.createElement("div");
+    actions.className = "download-actions";
+    const save = document.createElement("button");
+    save.type = "submit";
+    save.className = "pager";
+    save.textContent = "Save and reload";
+    const reset = document.createElement("button");
+    reset.type = "button";
+    reset.className = "pager";
+    reset.textContent = "Restore defaults";
+    reset.addEventListener("click", () => {
+        const defaults = getDefaultSettings();
+        sources.value = defaults.sources.join("\n");
+        assetProxy.value = defaults.assetProxy;
+        rewriteFrom.value = defaults.rewriteFrom;
+        rewriteTo.value = defaults.rewriteTo;
+    });
+    actions.append(save, reset);
+
+    form.append(
+        createField("Catalogue sources", sources, "One URL per line, tried in order until one returns a valid index.json. Third-party proxies are only used if you add them here."),
+        createField("Asset proxy", assetProxy, "Off by default. Set it to use a proxy, such as https://corsproxy.io/?{url}, when the mirror and the direct URL fail. {url} is replaced with the encoded address."),
+        createField("Rewrite download host from", rewriteFrom, "Download URLs that start with this prefix are rewritten."),
+        createField("Rewrite download host to", rewriteTo, "Replacement prefix, such as an internal mirror of the TMF bucket."),
+        actions
+    );
+    form.addEventListener("submit", (event) => {
+        event.preventDefault();
+        saveSettings({
+            sources: sources.value.split(/\r?\n/),
+            assetProxy: assetProxy.value,
+            rewriteFrom: rewriteFrom.value,
+            rewriteTo: rewriteTo.value
+        });
+        delete elements.detailView.dataset.document;
+        fetchResources();
+    });
+
+    const dropZone = document.createElement("div");
+    dropZone.className = "settings-view__drop";
+    const dropText = document.createElement("p");
+    dropText.textContent = "Drop an index.json file here to browse it instead of the configured sources.";
+    const fileLabel = document.createElement("label");
+    fileLabel.className = "pager";
+    fileLabel.textContent = "Choose file";
+    const fileInput = document.createElement("input");
+    fileInput.type = "file";
+    fileInput.accept = "application/json,.json";
+    fileInput.className = "sr-only";
+    fileInput.addEventListener("change", () => {
+        const [file] = fileInput.files || [];
+        if (file) {
+            loadCatalogueFile(file);
+        }
+    });
+    fileLabel.appendChild(fileInput);
+    dropZone.append(dropText, fileLabel);
+    dropZone.addEventListener("dragover", (event) => {
+        event.preventDefault();
+        dropZone.classList.add("settings-view__drop--active");
+    });
+    dropZone.addEventListener("dragleave", () => dropZone.classList.remove("settings-view__drop--active"));
+    dropZone.addEventListener("drop", (event) => {
+        event.preventDefault();
+        dropZone.classList.remove("settings-view__drop--active");
+        const [file] = event.dataTransfer?.files || [];
+        if (file) {
+            loadCatalogueFile(file);
+        }
+    });
+
+    const diagnosticsHeading = document.createElement("h3");
+    diagnosticsHeading.className = "detail-card__section-title";
+    diagnosticsHeading.textContent = "Diagnostics";
+
+    const diagnostics = document.createElement("div");
+    diagnostics.className = "settings-view__diagnostics compare-table__wrapper";
+
+    container.append(header, current, form, dropZone, diagnosticsHeading, diagnostics);
+    elements.detailView.appendChild(container);
+    renderDiagnostics();
+}
+
+function renderDiagnostics() {
+    const host = elements.detailView?.querySelector(".settings-view__diagnostics");
+    if (!host) {
+        return;
+    }
+
+    host.innerHTML = "";
+    if (!state.diagnostics.length) {
+        host.appendChild(createSpecEmpty("No requests have been made yet."));
+        return;
+    }
+
+    const failures = state.diagnostics.filter((entry) => entry.error).length;
+    const rows = state.diagnostics.map((entry) => [
+        new Date(entry.at).toLocaleTimeString(),
+        entry.kind,
+        entry.source,
+        entry.error ? `Failed${entry.status ? ` (${entry.status})` : ""}` : `OK${entry.status ? ` (${entry.status})` : ""}`,
+        `${entry.duration} ms`,
+        entry.error
+    ]);
+    const table = createSpecTable(
+        `${state.diagnostics.length} attempts, ${failures} failed`,
+        ["Time", "Kind", "Source", "Result", "Duration", "Error"],
+        rows
+    );
+    table.classList.add("diagnostics-table");
+
+    const clear = document.createElement("button");
+    clear.type = "button";
+    clear.className = "facet-clear";
+    clear.textContent = "Clear diagnostics";
+    clear.addEventListener("click", () => {
+        state.diagnostics = [];
+        renderDiagnostics();
+    });
+
+    host.append(table, clear);
+}
+
+function renderStats() {
+    if (!elements.detailView) {
+        return;
+    }
+
+    elements.detailView.innerHTML = "";
+    elements.detailView.dataset.document = getFilteredViewKey("stats");
+    delete elements.detailView.dataset.target;
+
+    const container = document.createElement("article");
+    container.className = "detail-card stats-view";
+
+    const header = document.createElement("header");
+    header.className = "detail-card__header";
+
+    const title = document.createElement("h2");
+    title.className = "detail-card__title";
+    title.textContent = "Statistics";
+
+    const closeButton = document.createElement("button");
+    closeButton.type = "button";
+    closeButton.className = "detail-card__close";
+    closeButton.setAttribute("aria-label", "Close statistics");
+    closeButton.textContent = "×";
+    closeButton.addEventListener("click", () => navigateToIndex());
+
+    header.append(title, closeButton);
+    container.appendChild(header);
+
+    const stats = getCatalogueStats(state.filtered);
+    const isFiltered = state.filtered.length !== state.documents.length;
+
+    const summary = document.createElement("dl");
+    summary.className = "detail-meta stats-view__summary";
+    appendMeta(summary, "APIs", `${stats.apis}${isFiltered ? ` of ${state.documents.length}` : ""}`);
+    appendMeta(summary, "Versions", String(stats.versions));
+    appendMeta(summary, "Assets", String(stats.assets));
+    appendMeta(summary, "Scope", isFiltered ? "Active filters and search from the index" : "Whole catalogue");
+    container.appendChild(summary);
+
+    if (!stats.apis) {
+        container.appendChild(createSpecEmpty("No APIs match the current filters."));
+        elements.detailView.appendChild(container);
+        return;
+    }
+
+    const grid = document.createElement("div");
+    grid.className = "stats-view__grid";
+    grid.append(
+        createStatsChart("APIs per category", "Category", stats.categories, stats.apis),
+        createStatsChart("APIs per domain", "Domain", stats.domains, stats.apis),
+        createStatsChart("Versions per lifecycle", "Lifecycle", stats.lifecycles, stats.versions),
+        createStatsChart("Versions per release train", "Release train", stats.releaseTrains, stats.versions)
+    );
+    container.appendChild(grid);
+
+    const coverage = createSpecTable(
+        "Asset type coverage",
+        ["Asset type", "APIs with any version", "Latest versions", "All versions"],
+        stats.coverage.map((row) => [
+            row.type,
+            createStatsBar(row.apis, stats.apis),
+            createStatsBar(row.latest, stats.apis),
+            createStatsBar(row.versions, stats.versions)
+        ])
+    );
+    coverage.classList.add("stats-table");
+    container.appendChild(coverage);
+
+    container.appendChild(createStatsGapList(
+        `Placeholder or missing descriptions (${stats.placeholderDescriptions.length})`,
+        stats.placeholderDescriptions.map((doc) => ({ label: `${doc.documentNumber} ${doc.apiName}`, route: { view: "detail", id: doc.id } }))
+    ));
+    container.appendChild(createStatsGapList(
+        `Versions without a usable published date (${stats.missingDates.length})`,
+        stats.missingDates.map(({ doc, version }) => ({
+            label: `${doc.documentNumber} ${version.version}`,
+            detail: version.published ? `unrecognised date "${version.published}"` : "no date",
+            route: { view: "detail", id: doc.id, version: version.version }
+        }))
+    ));
+
+    elements.detailView.appendChild(container);
+}
+
+function getCatalogueStats(documents) {
+    const count = (values) => {
+        const counts = new Map();
+        values.forEach((value) => counts.set(value, (counts.get(value) || 0) + 1));
+        return Array.from(counts.entries())
+            .map(([label, value]) => ({ label, value }))
+            .sort((a, b) => b.value - a.value || compareStrings(a.label, b.label));
+    };
+
+    const versions = documents.flatMap((doc) => doc.versions.map((version) => ({ doc, version })));
+    const types = Array.from(new Set(documents.flatMap((doc) => doc.optionTypes))).sort(compareStrings);
+    const hasType = (version, type) => version?.options.some((option) => option.type === type);
+
+    return {
+        apis: documents.length,
+        versions: versions.length,
+        assets: versions.reduce((total, { version }) => total + version.options.length, 0),
+        categories: count(documents.flatMap((doc) => doc.categories)),
+        domains: count(documents.flatMap((doc) => (doc.contexts.length ? doc.contexts : ["No domain"]))),
+        lifecycles: count(versions.map(({ version }) => version.lifecycle || "Unknown")),
+        releaseTrains: getReleaseTrainGroups(documents)
+            .map((group) => ({ label: group.train, value: group.entries.length })),
+        coverage: types.map((type) => ({
+            type,
+            apis: documents.filter((doc) => doc.optionTypes.includes(type)).length,
+            latest: documents.filter((doc) => hasType(doc.versions[0], type)).length,
+            versions: versions.filter(({ version }) => hasType(version, type)).length
+        })),
+        placeholderDescriptions: documents.filter((doc) => isPlaceholderDescription(doc.description)),
+        missingDates: versions.filter(({ version }) => !version.publishedTime)
+    };
+}
+
+function isPlaceholderDescription(value = "") {
+    const text = stripHtml(value).trim();
+    return !text || /^no description available/i.test(text);
+}
+
+function createStatsChart(caption, heading, rows, total) {
+    const table = createSpecTable(caption, [heading, "Count"], rows.map((row) => [row.label, createStatsBar(row.value, total)]));
+    table.classList.add("stats-table");
+    return table;
+}
+
+function createStatsBar(value, total) {
+    const percent = total ? Math.round((value / total) * 1000) / 10 : 0;
+
+    const bar = document.createElement("span");
+    bar.className = "stats-bar";
+
+    const fill = document.createElement("span");
+    fill.className = "stats-bar__fill";
+    fill.style.width = `${Math.min(percent, 100)}%`;
+
+    const label = document.createElement("span");
+    label.className = "stats-bar__label";
+    label.textContent = `${value} (${percent}%)`;
+
+    bar.append(fill, label);
+    return bar;
+}
+
+function createStatsGapList(titleText, items) {
+    const section = document.createElement("details");
+    section.className = "stats-view__gaps";
+    section.open = items.length > 0 && items.length <= 10;
+
+    const summary = document.createElement("summary");
+    summary.textContent = titleText;
+    section.appendChild(summary);
+
+    if (!items.length) {
+        section.appendChild(createSpecEmpty("None."));
+        return section;
+    }
+
+    const list = document.createElement("ul");
+    list.className = "changes-view__list";
+    items.forEach((item) => {
+        const entry = document.createElement("li");
+        entry.appendChild(createRouteLink(item.label, item.route, "changes-view__link"));
+        if (item.detail) {
+            const detail = document.createElement("span");
+            detail.className = "changes-view__detail";
+            detail.textContent = item.detail;
+            entry.appendChild(detail);
+        }
+        list.appendChild(entry);
+    });
+    section.appendChild(list);
+
+    return section;
+}
+
+function renderCoverage() {
+    if (!elements.detailView) {
+        return;
+    }
+
+    elements.detailView.innerHTML = "";
+    elements.detailView.dataset.document = getFilteredViewKey("coverage");
+    delete elements.detailView.dataset.target;
+
+    const container = document.createElement("article");
+    container.className = "detail-card coverage-view";
+
+    const header = document.createElement("header");
+    header.className = "detail-card__header";
+
+    const title = document.createElement("h2");
+    title.className = "detail-card__title";
+    title.textContent = "Asset coverage";
+
+    const closeButton = document.createElement("button");
+    closeButton.type = "button";
+    closeButton.className = "detail-card__close";
+    closeButton.setAttribute("aria-label", "Close asset coverage");
+    closeButton.textContent = "×";
+    closeButton.addEventListener("click", () => navigateToIndex());
+
+    header.append(title, closeButton);
+
+    const types = Array.from(new Set(state.documents.flatMap((doc) => doc.optionTypes))).sort(compareStrings);
+    const lifecycles = Array.from(new Set(state.documents.flatMap((doc) => doc.versions.map((version) => version.lifecycle)))).filter(Boolean).sort(compareStrings);
+
+    const controls = document.createElement("div");
+    controls.className = "version-compare__controls";
+    const createControl = (labelText, key, options) => {
+        const label = document.createElement("label");
+        label.className = "version-compare__field";
+        label.textContent = labelText;
+        const select = document.createElement("select");
+        options.forEach(([value, text]) => {
+            const option = document.createElement("option");
+            option.value = value;
+            option.textContent = text;
+            select.appendChild(option);
+        });
+        select.value = state.coverage[key];
+        select.addEventListener("change", () => {
+            state.coverage[key] = select.value;
+            renderCoverageTable(tableHost, types);
+        });
+        label.appendChild(select);
+        return label;
+    };
+
+    controls.append(
+        createControl("Versions", "scope", [["all", "All versions"], ["latest", "Latest version only"]]),
+        createControl("Lifecycle", "lifecycle", [["", "Any lifecycle"], ...lifecycles.map((value) => [value, value])]),
+        createControl("Missing asset", "missing", [["", "Any coverage"], ["*", "Any missing asset"], ...types.map((type) => [type, `No ${type}`])])
+    );
+
+    const tableHost = document.createElement("div");
+    tableHost.className = "compare-table__wrapper";
+
+    container.append(header, controls, tableHost);
+    elements.detailView.appendChild(container);
+    renderCoverageTable(tableHost, types);
+}
+
+function renderCoverageTable(host, types) {
+    const rows = getCoverageRows(state.filtered, types);
+
+    host.innerHTML = "";
+    const table = document.createElement("table");
+    table.className = "spec-table coverage-table";
+
+    const caption = document.createElement("caption");
+    const gaps = rows.reduce((total, row) => total + row.missing.length, 0);
+    caption.textContent = `${rows.length} versions, ${gaps} missing assets. Index filters and search apply.`;
+    table.appendChild(caption);
+
+    const columns = [
+        { key: "api", label: "API" },
+        { key: "version", label: "Version" },
+        { key: "lifecycle", label: "Lifecycle" },
+        { key: "release", label: "Release" },
+        ...types.map((type) => ({ key: `type:${type}`, label: type })),
+        { key: "missing", label: "Missing" }
+    ];
+
+    const head = document.createElement("thead");
+    const headRow = document.createElement("tr");
+    columns.forEach((column) => {
+        const cell = document.createElement("th");
+        cell.scope = "col";
+        const isSorted = state.coverage.sort === column.key;
+        cell.setAttribute("aria-sort", isSorted ? (state.coverage.direction > 0 ? "ascending" : "descending") : "none");
+
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "coverage-table__sort";
+        button.textContent = `${column.label}${isSorted ? (state.coverage.direction > 0 ? " ▲" : " ▼") : ""}`;
+        button.addEventListener("click", () => {
+            state.coverage.direction = isSorted ? -state.coverage.direction : 1;
+            state.coverage.sort = column.key;
+            renderCoverageTable(host, types);
+        });
+        cell.appendChild(button);
+        headRow.appendChild(cell);
+    });
+    head.appendChild(headRow);
+
+    const body = document.createElement("tbody");
+    rows.forEach((row) => {
+        const tableRow = document.createElement("tr");
+
+        const apiCell = document.createElement("th");
+        apiCell.scope = "row";
+        apiCell.appendChild(createRouteLink(row.doc.documentNumber, { view: "detail", id: row.doc.id }, "compare-table__link"));
+        apiCell.title = row.doc.apiName;
+
+        const versionCell = document.createElement("td");
+        versionCell.appendChild(createRouteLink(row.version.version, { view: "detail", id: row.doc.id, version: row.version.version }, "compare-table__link"));
+
+        const lifecycleCell = document.createElement("td");
+        lifecycleCell.textContent = row.version.lifecycle;
+
+        const releaseCell = document.createElement("td");
+        releaseCell.textContent = getReleaseTrain(row.version.release);
+
+        tableRow.append(apiCell, versionCell, lifecycleCell, releaseCell);
+
+        types.forEach((type) => {
+            const cell = document.createElement("td");
+            const options = row.version.options.filter((option) => option.type === type && option.downloadUrl);
+            if (!options.length) {
+                cell.className = "coverage-table__gap";
+                cell.textContent = "Missing";
+            } else {
+                cell.className = "coverage-table__hit";
+                options.forEach((option) => {
+                    const link = document.createElement("a");
+                    link.href = rewriteDownloadUrl(option.downloadUrl);
+                    link.target = "_blank";
+                    link.rel = "noopener";
+                    link.title = option.name || type;
+                    link.textContent = "✓";
+                    link.setAttribute("aria-label", `Download ${row.doc.documentNumber} ${row.version.version} ${type}`);
+                    cell.appendChild(link);
+                });
+            }
+            tableRow.appendChild(cell);
+        });
+
+        const missingCell = document.createElement("td");
+        missingCell.textContent = String(row.missing.length);
+        tableRow.appendChild(missingCell);
+
+        body.appendChild(tableRow);
+    });
+
+    table.append(head, body);
+    host.appendChild(rows.length ? table : createSpecEmpty("No versions match these filters."));
+}
+
+function getCoverageRows(documents, types) {
+    const { scope, lifecycle, missing, sort, direction } = state.coverage;
+
+    const rows = documents
+        .flatMap((doc) => (scope === "latest" ? doc.versions.slice(0, 1) : doc.versions).map((version) => {
+            const present = new Set(version.options.filter((option) => option.downloadUrl).map((option) => option.type));
+            return { doc, version, missing: types.filter((type) => !present.has(type)) };
+        }))
+        .filter((row) => !lifecycle || row.version.lifecycle === lifecycle)
+        .filter((row) => !missing || (missing === "*" ? row.missing.length : row.missing.includes(missing)));
+
+    const compareApi = (a, b) => compareStrings(a.doc.documentNumber, b.doc.documentNumber) || compareVersions(b.version.version, a.version.version);
+    const comparators = {
+        api: compareApi,
+        version: (a, b) => compareVersions(a.version.version, b.version.version),
+        lifecycle: (a, b) => compareStrings(a.version.lifecycle, b.version.lifecycle),
+        release: (a, b) => compareReleaseTrains(getReleaseTrain(a.version.release), getReleaseTrain(b.version.release)),
+        missing: (a, b) => a.missing.length - b.missing.length
+    };
+    const compare = sort.startsWith("type:")
+        ? (a, b) => Number(b.missing.includes(sort.slice(5))) - Number(a.missing.includes(sort.slice(5)))
+        : comparators[sort] || compareApi;
+
+    return rows.sort((a, b) => compare(a, b) * direction || compareApi(a, b));
+}
+
+function renderQuality() {
+    if (!elements.detailView) {
+        return;
+    }
+
+    elements.detailView.innerHTML = "";
+    elements.detailView.dataset.document = getQualityViewKey();
+    delete elements.detailView.dataset.target;
+
+    const container = document.createElement("article");
+    container.className = "detail-card quality-view";
+
+    const header = document.createElement("header");
+    header.className = "detail-card__header";
+
+    const title = document.createElement("h2");
+    title.className = "detail-card__title";
+    title.textContent = "Data quality";
+
+    const closeButton = document.createElement("button");
+    closeButton.type = "button";
+    closeButton.className = "detail-card__close";
+    closeButton.setAttribute("aria-label", "Close data quality");
+    closeButton.textContent = "×";
+    closeButton.addEventListener("click", () => navigateToIndex());
+
+    header.append(title, closeButton);
+
+    const badgeRow = document.createElement("div");
+    badgeRow.className = "badge-row";
+    Object.keys(SEVERITY_BADGES).forEach((severity) => {
+        const count = state.quality.filter((finding) => finding.severity === severity).length;
+        badgeRow.appendChild(createSeverityBadge(severity, `${count} ${severity}${count === 1 ? "" : "s"}`));
+    });
+
+    const summary = document.createElement("p");
+    summary.className = "version-compare__summary";
+    summary.textContent = `${state.quality.length} findings in the catalogue loaded from ${state.apiSource}.`;
+
+    const controls = document.createElement("div");
+    controls.className = "version-compare__controls";
+    const filters = { severity: "", rule: "" };
+    const createFilter = (labelText, key, values) => {
+        const label = document.createElement("label");
+        label.className = "version-compare__field";
+        label.textContent = labelText;
+        const select = document.createElement("select");
+        [["", "All"], ...values.map((value) => [value, value])].forEach(([value, text]) => {
+            const option = document.createElement("option");
+            option.value = value;
+            option.textContent = text;
+            select.appendChild(option);
+        });
+        select.addEventListener("change", () => {
+            filters[key] = select.value;
+            renderFindings();
+        });
+        label.appendChild(select);
+        return label;
+    };
+
+    const rules = Array.from(new Set(state.quality.map((finding) => finding.rule))).sort(compareStrings);
+    const getVisibleFindings = () => state.quality.filter((finding) => (
+        (!filters.severity || finding.severity === filters.severity) && (!filters.rule || finding.rule === filters.rule)
+    ));
+
+    const exportTable = () => ({
+        columns: ["Severity", "Rule", "Category", "Document number", "Version", "Option", "Message"],
+        rows: getVisibleFindings().map((finding) => [
+            finding.severity,
+            finding.rule,
+            finding.category || "",
+            finding.documentNumber || "",
+            finding.version || "",
+            finding.option || "",
+            finding.message
+        ])
+    });
+    const exportCsv = document.createElement("button");
+    exportCsv.type = "button";
+    exportCsv.className = "pager";
+    exportCsv.textContent = "Export CSV";
+    exportCsv.addEventListener("click", () => downloadFile("tmf-data-quality.csv", toCsv(exportTable()), "text/csv"));
+    const exportMarkdown = document.createElement("button");
+    exportMarkdown.type = "button";
+    exportMarkdown.className = "pager";
+    exportMarkdown.textContent = "Export Markdown";
+    exportMarkdown.addEventListener("click", () => downloadFile("tmf-data-quality.md", toMarkdownTable(exportTable()), "text/markdown"));
+
+    controls.append(
+        createFilter("Severity", "severity", Object.keys(SEVERITY_BADGES)),
+        createFilter("Rule", "rule", rules),
+        exportCsv,
+        exportMarkdown
+    );
+
+    const tableHost = document.createElement("div");
+    tableHost.className = "compare-table__wrapper";
+
+    const renderFindings = () => {
+        const visible = getVisibleFindings();
+        tableHost.innerHTML = "";
+        if (!visible.length) {
+            tableHost.appendChild(createSpecEmpty(state.quality.length ? "No findings match these filters." : "No problems found."));
+            return;
+        }
+
+        const table = createSpecTable(
+            `${visible.length} findings`,
+            ["Severity", "Rule", "Location", "Message"],
+            visible.map((finding) => {
+                const doc = finding.documentNumber && state.documents.find((candidate) => candidate.documentNumber === finding.documentNumber);
+                const location = doc
+                    ? createRouteLink(formatFindingLocation(finding), { view: "detail", id: doc.id, version: findRouteVersion(doc, finding.version)?.version }, "changes-view__link")
+                    : formatFindingLocation(finding);
+                return [createSeverityBadge(finding.severity), finding.rule, location, finding.message];
+            })
+        );
+        table.classList.add("quality-table");
+        tableHost.appendChild(table);
+    };
+
+    container.append(header, badgeRow, summary, controls, tableHost);
+    elements.detailView.appendChild(container);
+    renderFindings();
+}
+
+function getQualityViewKey() {
+    return `quality:${state.apiSource}:${state.quality.length}`;
+}
+
+function createSeverityBadge(severity, label = severity) {
+    const badge = createBadge(label);
+    badge.classList.add(SEVERITY_BADGES[severity] || "badge--safe");
+    return badge;
+}
+
+function updateQualityLink() {
+    if (!elements.qualityCount) {
+        return;
+    }
+
+    const total = state.quality.filter((finding) => finding.severity !== "info").length;
+    elements.qualityCount.textContent = String(total);
+    elements.qualityCount.hidden = !total;
+}
+
+async function loadEntityIndex() {
+    try {
+        const stored = await readStoredValue(ENTITY_INDEX_KEY);
+        if (stored?.version === ENTITY_INDEX_VERSION && Array.isArray(stored.specs)) {
+            stored.specs.forEach((record) => state.entityIndex.specs.set(record.url, record));
+        }
+    } catch (error) {
+        console.warn("Unable to read the cached entity index", error);
+    }
+
+    assignDocumentEntities();
+    updateEntityIndexStatus();
+    if (hasEntityQualifier(state.query)) {
+        applyFilters();
+    }
+}
+
+function saveEntityIndex() {
+    return writeStoredValue(ENTITY_INDEX_KEY, {
+        version: ENTITY_INDEX_VERSION,
+        specs: Array.from(state.entityIndex.specs.values())
+    }).catch((error) => console.warn("Unable to cache the entity index", error));
+}
+
+function getEntityIndexTargets(documents, scope) {
+    return documents.flatMap((doc) => (scope === "all" ? doc.versions : doc.versions.slice(0, 1))
+        .map((version) => getSpecOption(version)?.downloadUrl)
+        .filter(Boolean));
+}
+
+function getEntityIndexDocuments() {
+    const qualifiers = state.query.qualifiers.filter((qualifier) => qualifier.field !== "entity");
+    if (qualifiers.length === state.query.qualifiers.length) {
+        return state.filtered;
+    }
+
+    return filterDocuments(state.documents, {
+        query: { ...state.query, qualifiers },
+        facets: state.facets,
+        sort: state.currentSort
+    }).documents;
+}
+
+async function buildEntityIndex(documents = getEntityIndexDocuments(), scope = elements.entityIndexAll?.checked ? "all" : "latest") {
+    if (state.entityIndex.running) {
+        return;
+    }
+
+    const urls = Array.from(new Set(getEntityIndexTargets(documents, scope)))
+        .filter((url) => !state.entityIndex.specs.has(url));
+    let failures = 0;
+
+    state.entityIndex.running = true;
+    updateEntityIndexStatus();
+    toggleSpinner(true);
+
+    for (const [index, url] of urls.entries()) {
+        setStatus(`Indexing specification ${index + 1} of ${urls.length}: ${getFileName(url)}`);
+        try {
+            const { spec } = await (state.specCache.get(url) || fetchSpecification(url));
+            state.entityIndex.specs.set(url, indexSpecEntities(url, spec));
+        } catch (error) {
+            failures += 1;
+        }
+    }
+
+    await saveEntityIndex();
+    state.entityIndex.running = false;
+    toggleSpinner(false);
+    assignDocumentEntities();
+    updateEntityIndexStatus();
+    applyFilters();
+    setStatus(
+        failures
+            ? `Indexed ${urls.length - failures} of ${urls.length} specifications. The rest could not be loaded; see Data sources for details.`
+            : `Indexed ${urls.length} specification${urls.length === 1 ? "" : "s"}.`,
+        Boolean(failures)
+    );
+}
+
+async function clearEntityIndex() {
+    state.entityIndex.specs.clear();
+    await saveEntityIndex();
+    assignDocumentEntities();
+    updateEntityIndexStatus();
+    applyFilters();
+}
+
+function indexSpecEntities(url, spec) {
+    const isOpenApi = String(spec?.openapi || "").startsWith("3");
+    const schemas = (isOpenApi ? spec.components?.schemas : spec.definitions) || {};
+    const references = [];
+    const paths = [];
+    const referredTypes = new Set();
+
+    const collectEntities = (node, found = new Set(), seen = new Set()) => {
+        if (!node || typeof node !== "object" || seen.has(node)) {
+            return found;
+        }
+        seen.add(node);
+
+        if (typeof node.$ref === "string") {
+            const name = getSchemaRefName(node.$ref);
+            if (name) {
+                found.add(name);
+            } else if (node.$ref.startsWith("#/")) {
+                collectEntities(resolveSpecRef(spec, node), found, seen);
+            }
+        }
+        Object.values(node).forEach((value) => collectEntities(value, found, seen));
+        return found;
+    };
+
+    const collectReferredTypes = (node, seen = new Set()) => {
+        if (!node || typeof node !== "object" || seen.has(node)) {
+            return;
+        }
+        seen.add(node);
+
+        Object.entries(node).forEach(([key, value]) => {
+            if (key === "@referredType") {
+                [value, value?.default, value?.example, ...(Array.isArray(value?.enum) ? value.enum : [])]
+                    .filter((type) => typeof type === "string" && /^[A-Z]\w*$/.test(type))
+                    .forEach((type) => referredTypes.add(type));
+            }
+            collectReferredTypes(value, seen);
+        });
+    };
+    collectReferredTypes(spec);
+
+    Object.entries(schemas).forEach(([schemaName, schema]) => {
+        collectEntities(schema).forEach((entity) => {
+            if (entity !== schemaName) {
+                references.push([entity, schemaName]);
+            }
+        });
+    });
+
+    Object.entries(spec?.paths || {}).forEach(([path, pathItem]) => {
+        HTTP_METHODS.forEach((method) => {
+            const operation = pathItem?.[method];
+            if (!operation) {
+                return;
+            }
+
+            collectEntities([pathItem.parameters, operation.parameters, operation.requestBody, operation.responses])
+                .forEach((entity) => paths.push([entity, `${method.toUpperCase()} ${path}`]));
+        });
+    });
+
+    return {
+        url,
+        title: spec?.info?.title || "",
+        indexedAt: new Date().toISOString(),
+        definitions: Object.keys(schemas),
+        references,
+        paths,
+        resources: Array.from(new Set(Object.keys(spec?.paths || {})
+            .map((path) => path.split("/").find(Boolean) || "")
+            .filter((segment) => segment && !segment.startsWith("{")))),
+        referredTypes: Array.from(referredTypes)
+    };
+}
+
+function getSchemaRefName(ref = "") {
+    const match = ref.match(/#\/(?:definitions|components\/schemas)\/([^/]+)$/);
+    return match ? decodeURIComponent(match[1].replace(/~1/g, "/").replace(/~0/g, "~")) : "";
+}
+
+function getEntityNames(record) {
+    return [
+        ...record.definitions,
+        ...record.references.map(([entity]) => entity),
+        ...record.paths.map(([entity]) => entity)
+    ];
+}
+
+function assignDocumentEntities() {
+    const { specs } = state.entityIndex;
+    state.documents.forEach((doc) => {
+        const names = doc.versions.flatMap((version) => {
+            const record = specs.get(getSpecOption(version)?.downloadUrl);
+            return record ? getEntityNames(record) : [];
+        });
+        doc.entities = Array.from(new Set(names));
+    });
+}
+
+function hasEntityQualifier(query) {
+    return query.qualifiers.some((qualifier) => qualifier.field === "entity" && !qualifier.negated);
+}
+
+function getEntityMatches(doc, query) {
+    const qualifiers = query.qualifiers.filter((qualifier) => qualifier.field === "entity" && !qualifier.negated);
+    if (!qualifiers.length) {
+        return [];
+    }
+
+    return doc.versions.flatMap((version) => {
+        const record = state.entityIndex.specs.get(getSpecOption(version)?.downloadUrl);
+        if (!record) {
+            return [];
+        }
+
+        return Array.from(new Set(getEntityNames(record)))
+            .filter((entity) => qualifiers.some((qualifier) => matchesEntityQualifier(entity, qualifier)))
+            .sort(compareStrings)
+            .map((entity) => ({
+                version: version.version,
+                entity,
+                defined: record.definitions.includes(entity),
+                referencedBy: record.references.filter(([name]) => name === entity).map(([, schemaName]) => schemaName),
+                paths: record.paths.filter(([name]) => name === entity).map(([, path]) => path)
+            }));
+    });
+}
+
+function createEntityMatchList(matches) {
+    const list = document.createElement("ul");
+    list.className = "doc-card__entities";
+    const summarise = (label, values) => (values.length
+        ? `${label} ${values.slice(0, 3).join(", ")}${values.length > 3 ? ` +${values.length - 3} more` : ""}`
+        : "");
+
+    matches.slice(0, 4).forEach((match) => {
+        const item = document.createElement("li");
+        const heading = document.createElement("strong");
+        heading.textContent = `${match.version} ${match.entity}`;
+        const details = [
+            match.defined ? "defined" : "",
+            summarise("used by", match.referencedBy),
+            summarise("in", match.paths)
+        ].filter(Boolean);
+        item.append(heading, `: ${details.join(" · ") || "referenced"}`);
+        list.appendChild(item);
+    });
+
+    if (matches.length > 4) {
+        const more = document.createElement("li");
+        more.textContent = `+${matches.length - 4} more matches`;
+        list.appendChild(more);
+    }
+
+    return list;
+}
+
+function getEntityRecords(doc) {
+    return doc.versions
+        .map((version) => state.entityIndex.specs.get(getSpecOption(version)?.downloadUrl))
+        .filter(Boolean);
+}
+
+function getApiDependencies(documents = state.documents) {
+    const owners = new Map();
+    const indexed = documents
+        .map((doc) => ({ doc, records: getEntityRecords(doc) }))
+        .filter(({ records }) => records.length);
+
+    indexed.forEach(({ doc, records }) => {
+        records.flatMap((record) => record.resources).forEach((resource) => {
+            const key = resource.toLowerCase();
+            if (!owners.has(key)) {
+                owners.set(key, new Set());
+            }
+            owners.get(key).add(doc.id);
+        });
+    });
+
+    const dependencies = new Map();
+    indexed.forEach(({ doc, records }) => {
+        const targets = new Map();
+        const referenced = records.flatMap((record) => [
+            ...getEntityNames(record)
+                .map((entity) => entity.replace(/_[A-Z]VO$/, ""))
+                .filter((entity) => /.Ref$/.test(entity))
+                .map((entity) => entity.slice(0, -3)),
+            ...record.referredTypes
+        ]);
+
+        new Set(referenced).forEach((entity) => {
+            const entityOwners = owners.get(entity.toLowerCase());
+            if (!entityOwners || entityOwners.has(doc.id)) {
+                return;
+            }
+
+            entityOwners.forEach((ownerId) => {
+                if (!targets.has(ownerId)) {
+                    targets.set(ownerId, new Set());
+                }
+                targets.get(ownerId).add(entity);
+            });
+        });
+
+        dependencies.set(doc.id, targets);
+    });
+
+    return dependencies;
+}
+
+function createDependencySection(doc) {
+    const section = document.createElement("section");
+    section.className = "dependency-list";
+
+    const heading = document.createElement("h3");
+    heading.className = "detail-card__section-title";
+    heading.textContent = "Dependencies";
+    section.appendChild(heading);
+
+    if (!getEntityRecords(doc).length) {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "pager";
+        button.textContent = "Index this API's specification";
+        button.disabled = !doc.versions.some((version) => getSpecOption(version));
+        button.addEventListener("click", async () => {
+            button.disabled = true;
+            await buildEntityIndex([doc], "latest");
+            delete elements.detailView.dataset.document;
+            renderRoute();
+        });
+        section.append(
+            createSpecEmpty("Dependencies are read from the swagger assets. Index this API, and the APIs it may use, to list them."),
+            button
+        );
+        return section;
+    }
+
+    const dependencies = getApiDependencies();
+    const createLinks = (entries) => {
+        const list = document.createElement("ul");
+        list.className = "dependency-list__items";
+        entries
+            .map(([id, entities]) => ({ target: state.documentMap.get(id), entities }))
+            .filter(({ target }) => target)
+            .sort((a, b) => compareStrings(a.target.documentNumber, b.target.documentNumber))
+            .forEach(({ target, entities }) => {
+                const item = document.createElement("li");
+                item.append(
+                    createRouteLink(`${target.documentNumber} ${target.apiName}`, { view: "detail", id: target.id }, "dependency-list__link"),
+                    ` via ${Array.from(entities).sort(compareStrings).join(", ")}`
+                );
+                list.appendChild(item);
+            });
+        return list;
+    };
+
+    const dependsOn = Array.from(dependencies.get(doc.id) || []);
+    const usedBy = Array.from(dependencies.entries())
+        .filter(([id, targets]) => id !== doc.id && targets.has(doc.id))
+        .map(([id, targets]) => [id, targets.get(doc.id)]);
+    const indexedCount = dependencies.size;
+
+    const summary = document.createElement("p");
+    summary.className = "version-compare__summary";
+    summary.textContent = `Resolved against the ${indexedCount} indexed API${indexedCount === 1 ? "" : "s"}. Index more from the Entity index menu or the dependency graph to widen the picture.`;
+    section.appendChild(summary);
+
+    [
+        [`${doc.documentNumber} depends on`, dependsOn, "No references to entities owned by other indexed APIs."],
+        ["Used by", usedBy, "No indexed API references this one."]
+    ].forEach(([title, entries, emptyMessage]) => {
+        const subheading = document.createElement("h4");
+        subheading.className = "dependency-list__title";
+        subheading.textContent = title;
+        section.append(subheading, entries.length ? createLinks(entries) : createSpecEmpty(emptyMessage));
+    });
+
+    return section;
 }
 
-function populateDomains(documents) {
-    if (!elements.domain) {
+function getGraphViewKey() {
+    return `${getFilteredViewKey("graph")}:${state.entityIndex.specs.size}:${state.graph.isolated}`;
+}
+
+function renderGraph() {
+    if (!elements.detailView) {
         return;
     }
 
-    const previousValue = elements.domain.value;
-    const domains = new Set();
-    documents.forEach((doc) => {
-        doc.contexts.forEach((contextValue) => {
-            if (contextValue) {
-                domains.add(contextValue);
+    elements.detailView.innerHTML = "";
+    elements.detailView.dataset.document = getGraphViewKey();
+    delete elements.detailView.dataset.target;
+
+    const container = document.createElement("article");
+    container.className = "detail-card graph-view";
+
+    const header = document.createElement("header");
+    header.className = "detail-card__header";
+
+    const title = document.createElement("h2");
+    title.className = "detail-card__title";
+    title.textContent = "Dependency graph";
+
+    const closeButton = document.createElement("button");
+    closeButton.type = "button";
+    closeButton.className = "detail-card__close";
+    closeButton.setAttribute("aria-label", "Close dependency graph");
+    closeButton.textContent = "×";
+    closeButton.addEventListener("click", () => navigateToIndex());
+
+    header.append(title, closeButton);
+
+    const indexed = state.filtered.filter((doc) => getEntityRecords(doc).length);
+    const pending = state.filtered.length - indexed.length;
+    const dependencies = getApiDependencies(indexed);
+    const edges = Array.from(dependencies.entries()).flatMap(([source, targets]) => Array.from(targets.entries())
+        .map(([target, entities]) => ({ source, target, entities: Array.from(entities).sort(compareStrings) })));
+    const connected = new Set(edges.flatMap((edge) => [edge.source, edge.target]));
+    const nodes = indexed.filter((doc) => state.graph.isolated || connected.has(doc.id));
+
+    const summary = document.createElement("p");
+    summary.className = "version-compare__summary";
+    summary.textContent = `${nodes.length} APIs and ${edges.length} dependencies from ${indexed.length} indexed of ${state.filtered.length} listed APIs. Edges follow *Ref entities and @referredType values to the API that exposes the resource. Filters and search from the index apply.`;
+
+    const controls = document.createElement("div");
+    controls.className = "version-compare__controls";
+
+    const isolatedLabel = document.createElement("label");
+    isolatedLabel.className = "export-menu__option";
+    const isolatedInput = document.createElement("input");
+    isolatedInput.type = "checkbox";
+    isolatedInput.checked = state.graph.isolated;
+    isolatedInput.addEventListener("change", () => {
+        state.graph.isolated = isolatedInput.checked;
+        renderGraph();
+    });
+    isolatedLabel.append(isolatedInput, document.createTextNode("Show APIs without dependencies"));
+    controls.appendChild(isolatedLabel);
+
+    if (pending) {
+        const indexButton = document.createElement("button");
+        indexButton.type = "button";
+        indexButton.className = "pager";
+        indexButton.textContent = `Index ${pending} more API${pending === 1 ? "" : "s"}`;
+        indexButton.disabled = state.entityIndex.running;
+        indexButton.addEventListener("click", () => {
+            indexButton.disabled = true;
+            buildEntityIndex(state.filtered, "latest");
+        });
+        controls.appendChild(indexButton);
+    }
+
+    container.append(header, summary, controls);
+
+    if (!nodes.length) {
+        container.appendChild(createSpecEmpty(indexed.length
+            ? "No dependencies between the indexed APIs match the current filters."
+            : "No specifications are indexed for the current results yet. Index them to draw the graph."));
+        elements.detailView.appendChild(container);
+        return;
+    }
+
+    const domains = Array.from(new Set(nodes.map((doc) => doc.contexts[0] || "No domain"))).sort(compareStrings);
+    const getDomainClass = (doc) => `graph-view__domain--${domains.indexOf(doc.contexts[0] || "No domain") % 8}`;
+    const width = 760;
+    const height = Math.max(420, Math.min(900, nodes.length * 18));
+    const positions = layoutGraph(nodes.map((doc) => doc.id), edges, width, height);
+
+    const svg = createSvgElement("svg", {
+        viewBox: `0 0 ${width} ${height}`,
+        width,
+        height,
+        role: "img",
+        "aria-label": "Dependencies between APIs",
+        class: "graph-view__chart"
+    });
+
+    const defs = createSvgElement("defs");
+    const marker = createSvgElement("marker", {
+        id: "graph-arrow",
+        viewBox: "0 0 10 10",
+        refX: 10,
+        refY: 5,
+        markerWidth: 6,
+        markerHeight: 6,
+        orient: "auto-start-reverse"
+    });
+    marker.appendChild(createSvgElement("path", { d: "M 0 0 L 10 5 L 0 10 z", class: "graph-view__arrow" }));
+    defs.appendChild(marker);
+    svg.appendChild(defs);
+
+    const radius = 9;
+    edges.forEach((edge) => {
+        const from = positions.get(edge.source);
+        const to = positions.get(edge.target);
+        const distance = Math.hypot(to.x - from.x, to.y - from.y) || 1;
+        const line = createSvgElement("line", {
+            x1: from.x,
+            y1: from.y,
+            x2: to.x - ((to.x - from.x) / distance) * (radius + 2),
+            y2: to.y - ((to.y - from.y) / distance) * (radius + 2),
+            class: "graph-view__edge",
+            "marker-end": "url(#graph-arrow)"
+        });
+        const tooltip = createSvgElement("title");
+        tooltip.textContent = `${state.documentMap.get(edge.source)?.documentNumber} → ${state.documentMap.get(edge.target)?.documentNumber}: ${edge.entities.join(", ")}`;
+        line.appendChild(tooltip);
+        svg.appendChild(line);
+    });
+
+    nodes.forEach((doc) => {
+        const { x, y } = positions.get(doc.id);
+        const dependsOn = dependencies.get(doc.id)?.size || 0;
+        const usedBy = edges.filter((edge) => edge.target === doc.id).length;
+
+        const group = createSvgElement("g", { class: "graph-view__node", tabindex: 0, role: "link" });
+        group.setAttribute("aria-label", `${doc.documentNumber}: ${doc.apiName}`);
+        const tooltip = createSvgElement("title");
+        tooltip.textContent = `${doc.documentNumber} ${doc.apiName}\n${doc.contexts.join(", ") || "No domain"}\nDepends on ${dependsOn}, used by ${usedBy}`;
+        const circle = createSvgElement("circle", { cx: x, cy: y, r: radius, class: `graph-view__point ${getDomainClass(doc)}` });
+        const label = createSvgElement("text", { x, y: y - radius - 4, class: "timeline__label" });
+        label.textContent = doc.documentNumber;
+        group.append(tooltip, circle, label);
+
+        group.addEventListener("click", () => navigateToDocument(doc));
+        group.addEventListener("keydown", (event) => {
+            if (event.key === "Enter" || event.key === " ") {
+                event.preventDefault();
+                navigateToDocument(doc);
             }
         });
+        svg.appendChild(group);
     });
 
-    const sortedDomains = Array.from(domains).sort((a, b) => compareStrings(a, b));
-    const options = ["<option value=\"all\">All domains</option>"];
-    sortedDomains.forEach((domain) => {
-        options.push(`<option value="${escapeHtml(domain)}">${escapeHtml(domain)}</option>`);
+    const chart = document.createElement("div");
+    chart.className = "compare-table__wrapper";
+    chart.appendChild(svg);
+
+    const legend = document.createElement("ul");
+    legend.className = "timeline-legend";
+    domains.forEach((domain, index) => {
+        const item = document.createElement("li");
+        const swatch = document.createElement("span");
+        swatch.className = `timeline-legend__swatch graph-view__domain--${index % 8}`;
+        item.append(swatch, document.createTextNode(domain));
+        legend.appendChild(item);
     });
 
-    elements.domain.innerHTML = options.join("");
+    const rows = nodes
+        .filter((doc) => dependencies.get(doc.id)?.size)
+        .sort((a, b) => compareStrings(a.documentNumber, b.documentNumber))
+        .map((doc) => {
+            const targets = document.createElement("span");
+            targets.className = "graph-view__targets";
+            Array.from(dependencies.get(doc.id).keys())
+                .map((id) => state.documentMap.get(id))
+                .sort((a, b) => compareStrings(a.documentNumber, b.documentNumber))
+                .forEach((target) => {
+                    const link = createRouteLink(target.documentNumber, { view: "detail", id: target.id }, "timeline-view__chip");
+                    link.title = `${target.apiName} via ${Array.from(dependencies.get(doc.id).get(target.id)).join(", ")}`;
+                    targets.appendChild(link);
+                });
+            return [createRouteLink(`${doc.documentNumber} ${doc.apiName}`, { view: "detail", id: doc.id }, "dependency-list__link"), targets];
+        });
 
-    if (sortedDomains.includes(previousValue)) {
-        elements.domain.value = previousValue;
-        state.activeDomain = previousValue;
-    } else {
-        elements.domain.value = "all";
-        state.activeDomain = "all";
+    container.append(chart, legend);
+    if (rows.length) {
+        container.appendChild(createSpecTable("What each API depends on", ["API", "Depends on"], rows));
+    }
+    elements.detailView.appendChild(container);
+}
+
+function layoutGraph(ids, edges, width, height) {
+    const padding = 30;
+    const area = (width - padding * 2) * (height - padding * 2);
+    const ideal = Math.sqrt(area / Math.max(ids.length, 1)) * 0.8;
+    const nodes = ids.map((id, index) => {
+        const angle = (index / ids.length) * Math.PI * 2;
+        return {
+            id,
+            x: width / 2 + Math.cos(angle) * (width / 2 - padding),
+            y: height / 2 + Math.sin(angle) * (height / 2 - padding),
+            dx: 0,
+            dy: 0
+        };
+    });
+    const byId = new Map(nodes.map((node) => [node.id, node]));
+    const links = edges.filter((edge) => byId.has(edge.source) && byId.has(edge.target));
+    let temperature = width / 8;
+
+    for (let iteration = 0; iteration < 200; iteration += 1) {
+        nodes.forEach((node) => {
+            node.dx = 0;
+            node.dy = 0;
+        });
+
+        for (let i = 0; i < nodes.length; i += 1) {
+            for (let j = i + 1; j < nodes.length; j += 1) {
+                const a = nodes[i];
+                const b = nodes[j];
+                const dx = a.x - b.x || 0.01;
+                const dy = a.y - b.y || 0.01;
+                const distance = Math.hypot(dx, dy);
+                const force = (ideal * ideal) / distance;
+                a.dx += (dx / distance) * force;
+                a.dy += (dy / distance) * force;
+                b.dx -= (dx / distance) * force;
+                b.dy -= (dy / distance) * force;
+            }
+        }
+
+        links.forEach((link) => {
+            const a = byId.get(link.source);
+            const b = byId.get(link.target);
+            const dx = a.x - b.x;
+            const dy = a.y - b.y;
+            const distance = Math.hypot(dx, dy) || 0.01;
+            const force = (distance * distance) / ideal;
+            a.dx -= (dx / distance) * force;
+            a.dy -= (dy / distance) * force;
+            b.dx += (dx / distance) * force;
+            b.dy += (dy / distance) * force;
+        });
+
+        nodes.forEach((node) => {
+            const gravityX = (width / 2 - node.x) * 0.02 * ideal / 10;
+            const gravityY = (height / 2 - node.y) * 0.02 * ideal / 10;
+            const dx = node.dx + gravityX;
+            const dy = node.dy + gravityY;
+            const distance = Math.hypot(dx, dy) || 1;
+            const step = Math.min(distance, temperature);
+            node.x = Math.min(width - padding, Math.max(padding, node.x + (dx / distance) * step));
+            node.y = Math.min(height - padding, Math.max(padding, node.y + (dy / distance) * step));
+        });
+
+        temperature = Math.max(1, temperature * 0.97);
+    }
+
+    return new Map(nodes.map((node) => [node.id, { x: Math.round(node.x), y: Math.round(node.y) }]));
+}
+
+function updateEntityIndexStatus() {
+    if (!elements.entityIndexStatus) {
+        return;
+    }
+
+    const { specs, running } = state.entityIndex;
+    const scope = elements.entityIndexAll?.checked ? "all" : "latest";
+    const targets = new Set(getEntityIndexTargets(getEntityIndexDocuments(), scope));
+    const pending = Array.from(targets).filter((url) => !specs.has(url)).length;
+
+    elements.entityIndexStatus.textContent = running
+        ? "Indexing specifications..."
+        : `${specs.size} specification${specs.size === 1 ? "" : "s"} indexed. ${pending ? `${pending} of ${targets.size} for the current results still to fetch.` : "The current results are fully indexed."}`;
+    elements.entityIndexMenu?.querySelectorAll("[data-entity-index]").forEach((button) => {
+        button.disabled = running
+            || (button.dataset.entityIndex === "build" && !pending)
+            || (button.dataset.entityIndex === "clear" && !specs.size);
+    });
+}
+
+function renderPagination(totalPages, totalItems) {
+    if (!elements.pagination) {
+        return;
+    }
+
+    if (!totalItems || totalPages <= 1) {
+        elements.pagination.hidden = true;
+        return;
+    }
+
+    elements.pagination.hidden = false;
+    elements.prevPage.disabled = state.currentPage === 1;
+    elements.nextPage.disabled = state.currentPage === totalPages;
+    elements.pageInfo.textContent = `Page ${state.currentPage} of ${totalPages}`;
+}
+
+function updateSummary(totalItems) {
+    if (!elements.resultCount || !elements.resultsSummary) {
+        return;
+    }
+
+    elements.resultCount.textContent = totalItems.toString();
+    elements.resultsSummary.hidden = false;
+    updateEntityIndexStatus();
+}
+
+function populateFacets(documents) {
+    if (!elements.facetPanel) {
+        return;
+    }
+
+    elements.facetPanel.innerHTML = "";
+
+    const header = document.createElement("div");
+    header.className = "facet-panel__header";
+
+    const title = document.createElement("h2");
+    title.className = "facet-panel__title";
+    title.textContent = "Filters";
+
+    const clearAll = document.createElement("button");
+    clearAll.type = "button";
+    clearAll.className = "facet-clear";
+    clearAll.textContent = "Clear all";
+    clearAll.addEventListener("click", () => {
+        FACETS.forEach((facet) => state.facets[facet.key].clear());
+        syncFacetInputs();
+        state.currentPage = 1;
+        applyFilters();
+        updateLocation();
+    });
+
+    header.append(title, clearAll);
+    elements.facetPanel.appendChild(header);
+
+    FACETS.forEach((facet) => {
+        const values = new Set();
+        documents.forEach((doc) => {
+            facet.values(doc).forEach((value) => {
+                if (value) {
+                    values.add(value);
+                }
+            });
+        });
+
+        const selected = state.facets[facet.key];
+        Array.from(selected).forEach((value) => {
+            if (!values.has(value)) {
+                selected.delete(value);
+            }
+        });
+
+        const sortedValues = Array.from(values).sort((a, b) => (facet.key === "release" ? compareReleaseTrains(b, a) : compareStrings(a, b)));
+
+        const group = document.createElement("fieldset");
+        group.className = "facet-group";
+        group.dataset.facet = facet.key;
+
+        const legend = document.createElement("legend");
+        legend.textContent = facet.label;
+        group.appendChild(legend);
+
+        const options = document.createElement("div");
+        options.className = "facet-options";
+
+        sortedValues.forEach((value) => {
+            const label = document.createElement("label");
+            label.className = "facet-option";
+
+            const input = document.createElement("input");
+            input.type = "checkbox";
+            input.value = value;
+            input.checked = selected.has(value);
+            input.addEventListener("change", () => {
+                if (input.checked) {
+                    selected.add(value);
+                } else {
+                    selected.delete(value);
+                }
+                state.currentPage = 1;
+                applyFilters();
+                updateLocation();
+            });
+
+            const text = document.createElement("span");
+            text.className = "facet-option__label";
+            text.textContent = value;
+
+            const count = document.createElement("span");
+            count.className = "facet-option__count";
+
+            label.append(input, text, count);
+            options.appendChild(label);
+        });
+
+        group.appendChild(options);
+        elements.facetPanel.appendChild(group);
+    });
+
+    elements.facetPanel.hidden = false;
+}
+
+function syncFacetInputs() {
+    elements.facetPanel?.querySelectorAll(".facet-group").forEach((group) => {
+        const selected = state.facets[group.dataset.facet];
+        group.querySelectorAll("input[type=\"checkbox\"]").forEach((input) => {
+            input.checked = selected.has(input.value);
+        });
+    });
+}
+
+function updateFacetCounts() {
+    if (!elements.facetPanel) {
+        return;
+    }
+
+    FACETS.forEach((facet) => {
+        const counts = new Map();
+        state.documents.forEach((doc) => {
+            if (!matchesSearch(doc, state.query, state.searchScores) || !matchesFacets(doc, state.facets, facet.key)) {
+                return;
+            }
+            new Set(facet.values(doc)).forEach((value) => counts.set(value, (counts.get(value) || 0) + 1));
+        });
+
+        elements.facetPanel.querySelectorAll(`[data-facet="${facet.key}"] .facet-option`).forEach((label) => {
+            const input = label.querySelector("input");
+            const count = counts.get(input.value) || 0;
+            label.querySelector(".facet-option__count").textContent = String(count);
+            label.classList.toggle("facet-option--empty", !count);
+            input.disabled = !count && !input.checked;
+        });
+    });
+
+    const clearAll = elements.facetPanel.querySelector(".facet-clear");
+    if (clearAll) {
+        clearAll.disabled = FACETS.every((facet) => !state.facets[facet.key].size);
     }
 }
 
@@ -770,19 +6819,17 @@ function applySavedTheme() {
 }
 
 function navigateToIndex() {
-    if (window.location.hash === "#/" || window.location.hash === "" || window.location.hash === "#") {
-        state.route = { view: "index", id: null };
-        renderRoute();
-    } else {
-        window.location.hash = "#/";
-    }
+    navigateTo({ view: "index", id: null });
 }
 
 function navigateToDocument(doc) {
-    const targetHash = `#/document/${encodeURIComponent(doc.id)}`;
+    navigateTo({ view: "detail", id: doc.id });
+}
+
+function navigateTo(route) {
+    const targetHash = buildHash(route);
     if (window.location.hash === targetHash) {
-        state.route = { view: "detail", id: doc.id };
-        renderRoute();
+        handleRouteChange();
     } else {
         window.location.hash = targetHash;
     }
@@ -793,44 +6840,104 @@ function updateBreadcrumb(doc) {
         return;
     }
 
-    const list = document.createElement("ol");
-    const homeItem = document.createElement("li");
+    const crumbs = [{ label: "Home", route: { view: "index", id: null } }];
 
-    if (doc) {
-        const homeLink = document.createElement("a");
-        homeLink.href = "#/";
-        homeLink.textContent = "Home";
-        homeLink.className = "crumb-link";
-        homeLink.addEventListener("click", (event) => {
-            event.preventDefault();
-            navigateToIndex();
-        });
-        homeItem.appendChild(homeLink);
-    } else {
-        homeItem.textContent = "Home";
-        homeItem.setAttribute("aria-current", "page");
+    if (state.route.view === "compare") {
+        crumbs.push({ label: "Compare", route: state.route });
     }
 
-    list.appendChild(homeItem);
+    const page = PAGE_ROUTES.find((candidate) => candidate.view === state.route.view);
+    if (page) {
+        crumbs.push({ label: page.label, route: { view: page.view, id: null } });
+    }
 
     if (doc) {
-        const docItem = document.createElement("li");
-        docItem.textContent = doc.documentNumber;
-        docItem.setAttribute("aria-current", "page");
-        list.appendChild(docItem);
+        crumbs.push({ label: doc.documentNumber, route: { view: "detail", id: doc.id } });
+
+        if (state.route.version) {
+            const version = findRouteVersion(doc, state.route.version);
+            const versionRoute = { view: "detail", id: doc.id, version: version?.version || state.route.version };
+            crumbs.push({ label: versionRoute.version, route: versionRoute });
+
+            if (state.route.asset) {
+                crumbs.push({ label: state.route.asset, route: { ...versionRoute, asset: state.route.asset } });
+            }
+        }
     }
 
+    const list = document.createElement("ol");
+    crumbs.forEach((crumb, index) => {
+        const item = document.createElement("li");
+        if (index === crumbs.length - 1) {
+            item.textContent = crumb.label;
+            item.setAttribute("aria-current", "page");
+        } else {
+            item.appendChild(createRouteLink(crumb.label, crumb.route, "crumb-link"));
+        }
+        list.appendChild(item);
+    });
+
     elements.breadcrumb.innerHTML = "";
     elements.breadcrumb.appendChild(list);
 }
 
-function createSlug(value = "") {
-    return value
-        .toString()
-        .trim()
-        .toLowerCase()
-        .replace(/[^a-z0-9]+/g, "-")
-        .replace(/^-|-$/g, "") || "resource";
+function createRouteLink(label, route, className) {
+    const link = document.createElement("a");
+    link.href = buildHash(route);
+    link.className = className;
+    link.textContent = label;
+    link.addEventListener("click", (event) => {
+        event.preventDefault();
+        navigateTo(route);
+    });
+    return link;
+}
+
+function findRouteVersion(doc, value = "") {
+    const wanted = value.toLowerCase().replace(/^v/, "");
+    return doc.versions.find((version) => version.version.toLowerCase().replace(/^v/, "") === wanted) || null;
+}
+
+function focusDetailTarget(doc) {
+    if (!elements.detailView) {
+        return;
+    }
+
+    const target = [doc.id, state.route.version, state.route.asset].filter(Boolean).join("/");
+    if (elements.detailView.dataset.target === target) {
+        return;
+    }
+    elements.detailView.dataset.target = target;
+
+    elements.detailView
+        .querySelectorAll(".version-card--active, .download-item--active")
+        .forEach((item) => item.classList.remove("version-card--active", "download-item--active"));
+
+    if (!state.route.version) {
+        return;
+    }
+
+    const version = findRouteVersion(doc, state.route.version);
+    const card = version && Array.from(elements.detailView.querySelectorAll(".version-card")).find((item) => item.dataset.version === version.version);
+    if (!card) {
+        setStatus(`Version ${state.route.version} is not available for ${doc.documentNumber}.`, true);
+        return;
+    }
+
+    card.classList.add("version-card--active");
+    let scrollTarget = card;
+
+    if (state.route.asset) {
+        const assetType = state.route.asset.toLowerCase();
+        const items = Array.from(card.querySelectorAll(".download-item")).filter((item) => item.dataset.type?.toLowerCase() === assetType);
+        if (!items.length) {
+            setStatus(`${doc.documentNumber} ${version.version} does not ship a ${state.route.asset} asset.`, true);
+        }
+        items.forEach((item) => item.classList.add("download-item--active"));
+        scrollTarget = items[0] || card;
+    }
+
+    scrollTarget.scrollIntoView({ behavior: "smooth", block: "center" });
 }
 
 function createBadge(label = "") {
@@ -864,20 +6971,8 @@ function appendMetaText(container, label, value) {
     container.appendChild(span);
 }
 
-function compareStrings(a = "", b = "") {
-    return a.localeCompare(b, undefined, { sensitivity: "base" });
-}
-
-function parseDate(value = "") {
-    const cleaned = value.replace(/-/g, " ").trim();
-    const date = new Date(cleaned || value);
-    return Number.isNaN(date.getTime()) ? 0 : date.getTime();
-}
-
-function stripHtml(html = "") {
-    const temp = document.createElement("div");
-    temp.innerHTML = html;
-    return temp.textContent || temp.innerText || "";
+function escapeRegExp(value = "") {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
 }
 
 function escapeHtml(value = "") {
@@ -0,0 +1,133 @@
+const SHELL_CACHE = "tmf-shell-v2";
+const DATA_CACHE = "tmf-data";
+const OFFLINE_CACHE = "tmf-offline-assets";
+const MOCK_CACHE = "tmf-mock";
+const SHELL_FILES = ["./", "./index.html", "./styles.css", "./catalogue-core.js", "./script.js"];
+const CACHED_AT_HEADER = "X-TMF-Cached-At";
+const MOCK_HEADER = "X-TMF-Mock";
+
+self.addEventListener("install", (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then((cache) => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener("activate", (event) => {
+    const keep = [SHELL_CACHE, DATA_CACHE, OFFLINE_CACHE, MOCK_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then((keys) => Promise.all(keys.filter((key) => !keep.includes(key)).map((key) => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener("fetch", (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) {
+        return;
+    }
+
+    const mockRoute = getMockRoute(url);
+    if (mockRoute) {
+        event.respondWith(respondFromMock(request, mockRoute));
+        return;
+    }
+
+    if (request.method !== "GET") {
+        return;
+    }
+
+    if (url.pathname.endsWith("/index.json")) {
+        event.respondWith(networkFirst(request));
+    } else if (url.pathname.includes("/mirror/")) {
+        event.respondWith(offlineAssetFirst(request));
+    } else {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
+
+function getMockRoute(url) {
+    const prefix = new URL("./mock/", self.registration.scope).pathname;
+    if (!url.pathname.startsWith(prefix)) {
+        return null;
+    }
+
+    const [id, ...segments] = url.pathname.slice(prefix.length).split("/");
+    return id ? { id, path: `/${segments.join("/")}` } : null;
+}
+
+async function respondFromMock(request, { id, path }) {
+    const cache = await caches.open(MOCK_CACHE);
+    const stored = await cache.match(new URL(`./mock-routes/${id}.json`, self.registration.scope).href);
+    const routes = stored ? await stored.json() : [];
+    const method = request.method.toLowerCase();
+    const route = routes.find((candidate) => candidate.method === method && matchesPathTemplate(candidate.path, path));
+    const headers = { "Content-Type": "application/json", [MOCK_HEADER]: "true" };
+
+    if (!route) {
+        const message = stored
+            ? `No mocked operation matches ${request.method} ${path}.`
+            : "This mock API is not registered. Send the request again from the Try it console.";
+        return new Response(JSON.stringify({ code: "404", reason: "Not Found", message }), { status: 404, headers });
+    }
+
+    const body = route.body === undefined || route.status === 204 ? null : JSON.stringify(route.body, null, 2);
+    return new Response(body, { status: route.status, headers });
+}
+
+function matchesPathTemplate(template, path) {
+    const pattern = template
+        .split("/")
+        .map((segment) => (/^\{[^}]+\}$/.test(segment) ? "[^/]+" : segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")))
+        .join("/");
+    return new RegExp(`^${pattern}/?$`).test(path);
+}
+
+async function networkFirst(request) {
+    const cache = await caches.open(DATA_CACHE);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const headers = new Headers(response.headers);
+            headers.set(CACHED_AT_HEADER, new Date().toISOString());
+            const body = await response.clone().arrayBuffer();
+            await cache.put(request, new Response(body, { status: response.status, statusText: response.statusText, headers }));
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+async function offlineAssetFirst(request) {
+    const cached = await caches.match(request, { cacheName: OFFLINE_CACHE });
+    return cached || fetch(request);
+}
+
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    const network = fetch(request)
+        .then((response) => {
+            if (response.ok) {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch((error) => {
+            if (cached) {
+                return cached;
+            }
+            throw error;
+        });
+
+    return cached || network;
+}